@@ -0,0 +1,144 @@
+/*
+ * @file                Benchmark of tab moves when sorting.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Compares the number of tabs moved by moving every tab in one call, as
+ * before, with only moving tabs out of order. Each move is a call to the
+ * browser, so the time taken is estimated from the calls and tabs moved,
+ * using assumed timings rather than measured ones.
+ * Run with: node moves.mjs
+ */
+
+import { isBulkMove, planMoves } from "../webextension/moves.js";
+
+// Number of tabs in each window.
+const TAB_COUNTS = [10, 100, 500];
+
+// Assumed time of a call to the browser, and of moving each tab, in ms. These
+// are not measured; change them to timings taken in a browser.
+const CALL_TIME = 2;
+const TAB_MOVE_TIME = 0.05;
+
+// Windows of sorted tabs, and how each is put out of order.
+const FIXTURES = [
+  ["already sorted", tabIds => tabIds],
+  ["one new tab at the end", tabIds => [...tabIds.slice(1), tabIds[0]]],
+  ["two tabs swapped", tabIds => swap(tabIds, 0, tabIds.length >> 1)],
+  ["two swapped pairs", tabIds =>
+    swap(swap(tabIds, 1, tabIds.length - 2), tabIds.length >> 2, tabIds.length >> 1)],
+  ["every tenth tab new at the end", tabIds =>
+    [...tabIds.filter((tabId, i) => i % 10), ...tabIds.filter((tabId, i) => !(i % 10))]],
+  ["reversed", tabIds => [...tabIds].reverse()],
+  ["shuffled", tabIds => shuffle(tabIds, 1)]
+];
+
+
+/*
+ * Swaps two tabs.
+ *
+ * @param tabIds        tab IDs
+ * @param indexA        index of first tab
+ * @param indexB        index of second tab
+ * @return              new array of tab IDs
+ */
+function swap(tabIds, indexA, indexB) {
+  "use strict";
+
+  const swapped = [...tabIds];
+  [swapped[indexA], swapped[indexB]] = [swapped[indexB], swapped[indexA]];
+  return swapped;
+}
+
+
+/*
+ * Shuffles tabs the same way every time.
+ *
+ * @param tabIds        tab IDs
+ * @param seed          seed
+ * @return              new array of tab IDs
+ */
+function shuffle(tabIds, seed) {
+  "use strict";
+
+  const shuffled = [...tabIds];
+  for (let i = shuffled.length - 1; i > 0; --i) {
+    seed = seed * 16807 % 2147483647;
+    const j = seed % (i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+
+/*
+ * Estimates the time taken to move tabs.
+ *
+ * @param callCount     number of calls to the browser
+ * @param tabCount      number of tabs moved
+ * @return              time, in ms
+ */
+function estimateTime(callCount, tabCount) {
+  "use strict";
+
+  return Number((callCount * CALL_TIME + tabCount * TAB_MOVE_TIME).toFixed(2));
+}
+
+
+/*
+ * Applies moves as browser.tabs.move() does, to check the result.
+ *
+ * @param tabIds        tab IDs, in tab strip order
+ * @param moves         moves from planMoves()
+ * @return              new array of tab IDs
+ */
+function applyMoves(tabIds, moves) {
+  "use strict";
+
+  const strip = [...tabIds];
+  for (const { index, tabId } of moves) {
+    strip.splice(strip.indexOf(tabId), 1);
+    strip.splice(index, 0, tabId);
+  }
+  return strip;
+}
+
+
+const rows = [];
+for (const tabCount of TAB_COUNTS) {
+  const order = Array.from({ length: tabCount }, (value, i) => i + 1);
+
+  for (const [name, disorder] of FIXTURES) {
+    const tabIds = disorder(order);
+    const isSorted = tabIds.every((tabId, i) => tabId === order[i]);
+
+    const start = performance.now();
+    const moves = isSorted ? [] : planMoves(tabIds, order);
+    const time = performance.now() - start;
+
+    if (applyMoves(tabIds, moves).some((tabId, i) => tabId !== order[i]))
+      throw new Error(`Wrong order: ${name}, ${tabCount} tabs`);
+
+    // Most tabs moving are moved in one call, as before.
+    const movedBefore = isSorted ? 0 : tabCount;
+    const isBulk = isBulkMove(moves, tabIds);
+    const movedAfter = isBulk ? tabCount : moves.length;
+    const callsAfter = isBulk ? 1 : moves.length;
+
+    rows.push({
+      fixture: name,
+      tabs: tabCount,
+      "moved before": movedBefore,
+      "moved after": movedAfter,
+      "calls after": callsAfter,
+      "est. before (ms)": estimateTime(Math.min(movedBefore, 1), movedBefore),
+      "est. after (ms)": estimateTime(callsAfter, movedAfter),
+      "planning (ms)": Number(time.toFixed(2))
+    });
+  }
+}
+
+console.table(rows);
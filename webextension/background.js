@@ -8,7 +8,13 @@
  */
 
 import "./browser-polyfill.js";
+import { DuplicateIndex } from "./duplicates.js";
+import { isBulkMove, planMoves } from "./moves.js";
+import { PlacementCache } from "./placement.js";
 import { PREFS_DEFAULT } from "./prefs.js";
+import { PublicSuffixList } from "./psl.js";
+import { ExclusionRules, PriorityRules } from "./rules.js";
+import { QueryRules } from "./url.js";
 
 // URLs of pages with state that isn't important enough to keep.
 // Considered blank.
@@ -19,46 +25,200 @@ const BLANK_TAB_URLS = new Set([
   "chrome://newtab/"
 ]);
 
+// Which copy of a duplicate is kept.
+const KEEP_POLICIES = new Set(["recent", "oldest", "loaded", "leftmost", "rightmost"]);
+
 const SORT_MODES = new Map([
   ["none", 0],
   ["host_title_path", 1],
   ["host_path_title", 2],
   ["title_host_path", 3],
-  ["auto", 4]
+  ["auto", 4],
+  ["accessed", 5],
+  ["opened", 6]
 ]);
 
-const PREFS = Object.assign(PREFS_DEFAULT);
+// Scheduled runs, each with its own preferences.
+const SCHEDULES = ["idle", "interval"];
+
+// Name of the alarm for running at an interval.
+const SCHEDULE_ALARM = "schedule_interval";
+
+// Shortest idle detection interval browsers allow, in seconds.
+const IDLE_DETECTION_MIN_SECONDS = 15;
+
+// Shortest alarm period browsers allow, in minutes.
+const ALARM_MIN_MINUTES = 0.5;
+
+// Time to wait for more tab updates before processing a window, in ms.
+const UPDATE_DELAY = 250;
+
+// Number of entries kept in the diagnostics log.
+const DIAGNOSTICS_MAX = 200;
+
+// Colours of tab groups.
+const TAB_GROUP_COLORS = [
+  "blue", "cyan", "green", "grey", "orange", "pink", "purple", "red", "yellow"
+];
+
+const PREFS = Object.assign({}, PREFS_DEFAULT);
+
+// Names of preference profiles, in the order listed, and the active one.
+let profileNames = [];
+let activeProfile = null;
+
+// Last update of the profile menu items, so updates happen in order.
+let profileMenusUpdating = Promise.resolve();
+
+// Query parameter rules, and the preferences they were parsed from.
+let queryRules = null;
+let queryRulesSource = null;
+
+// Preferences the schedules were last set from.
+let schedulesSource = null;
+
+// Last write of schedule times, so writes happen in order.
+let scheduleTimesSaving = Promise.resolve();
+
+// Public Suffix List once loaded, and the promise of loading it.
+let publicSuffixList = null;
+let publicSuffixListLoading = null;
+
+// IDs of tabs reopened by undo. Not deduplicated again on tab update.
+const restoredTabIds = new Set();
+
+// IDs of tabs the user chose to keep. Never deduplicated.
+const exemptTabIds = new Set();
+
+// Times tabs were opened, by tab ID. Browsers don't say, so it is tracked.
+const tabOpenedTimes = new Map();
+
+// Tabs opened but not yet loaded past a blank page, and how they were opened.
+// { hasOpener, isBackground, isBlank }, by tab ID.
+const openingTabs = new Map();
+
+// IDs of tabs sent back to their previous page, so not checked again.
+const revertingTabIds = new Set();
+
+// Duplicate keys of the tabs of each window, for the badge, and what is needed
+// to work them out. The context is null while the badge is off.
+const duplicateIndex = new DuplicateIndex();
+let duplicateIndexContext = null;
+
+// Runs started while their window was being processed, in order. Runs with
+// the same preferences are merged into one.
+// [{ deduplicate, isAutomatic, prefs, sort, tabIds }], by window ID.
+const pendingRuns = new Map();
+
+// Tabs updated in each window, waiting for the updates to stop.
+// { tabIds, timeoutId }, by window ID.
+const updatedWindows = new Map();
+
+// Last write to the diagnostics log, so writes happen in order.
+let diagnosticsSaving = Promise.resolve();
+
+// Sorted tabs of each window, so updated tabs can be placed one at a time.
+const placements = new PlacementCache();
+
+// Focused window, and the badge text shown for it. The badge outlives the
+// background script, so the text is unknown until it is set.
+let focusedWindowId = browser.windows.WINDOW_ID_NONE;
+let badgeText = null;
+
+// Get "session" storage contents.
+browser.storage.session.get(
+  ["exemptTabIds", "restoredTabIds", "tabOpenedTimes"]
+).then(storedObject => {
+  for (const tabId of storedObject.exemptTabIds ?? [])
+    exemptTabIds.add(tabId);
+  for (const tabId of storedObject.restoredTabIds ?? [])
+    restoredTabIds.add(tabId);
+  for (const [tabId, time] of Object.entries(storedObject.tabOpenedTimes ?? {}))
+    tabOpenedTimes.set(Number(tabId), time);
+  return loadTabOpenedTimes();
+});
 
 // Get "sync" storage contents.
 browser.storage.sync.get().then(async storedObject => {
 
+  // Duplicates only had the same query string if sorted by query string,
+  // before it could be ignored. Keep it that way for existing preferences.
+  const preferences = storedObject.preferences;
+  if (preferences && !("pref_tabs_deduplicate_ignore_query_string" in preferences)) {
+    preferences.pref_tabs_deduplicate_ignore_query_string =
+      preferences.pref_tabs_sort_by_query_string === "false" ? "true" : "false";
+    browser.storage.sync.set({ preferences });
+  }
+
   // Merge preferences with preferences from storage.
-  Object.assign(PREFS, PREFS_DEFAULT, storedObject.preferences);
+  Object.assign(PREFS, PREFS_DEFAULT, preferences);
+  setProfiles(storedObject.profiles ?? [], storedObject.activeProfile ?? null);
   return updateUI();
 });
 
 // Set browser action.
 browser.action.onClicked.addListener(onBrowserAction);
 
+// Listen for keyboard shortcuts.
+browser.commands.onCommand.addListener(onCommand);
+
+// Listen for menu item clicks.
+browser.contextMenus.onClicked.addListener(onMenuClicked);
+
+// Update menu items as they are shown, where supported.
+browser.contextMenus.onShown?.addListener(onMenuShown);
+
+// Create menu items when installed or updated.
+browser.runtime.onInstalled.addListener(createMenus);
+
+// Listen for messages from extension pages.
+browser.runtime.onMessage.addListener(onMessage);
+
 // Listen to changes in storage.
 browser.storage.onChanged.addListener(onStorageChanged);
 
 // Listen for tab updates.
 browser.tabs.onUpdated.addListener(onTabUpdated);
 
+// Forget tabs restored by undo or kept by the user once they are closed.
+browser.tabs.onRemoved.addListener(onTabRemoved);
+
+// Keep the duplicate index current as tabs open and change windows.
+browser.tabs.onCreated.addListener(onTabCreated);
+browser.tabs.onAttached.addListener(onTabAttached);
+browser.tabs.onDetached.addListener(onTabDetached);
+
+// Show the badge for the focused window.
+browser.windows.onFocusChanged.addListener(onWindowFocusChanged);
+
+// Forget the last run of a window and its summary once it is closed.
+browser.windows.onRemoved.addListener(onWindowRemoved);
+
+// Run on schedule, at an interval or when the browser goes idle.
+browser.alarms.onAlarm.addListener(onAlarm);
+browser.idle.onStateChanged.addListener(onIdleStateChanged);
+
 class TabProps {
   #lowerDomainTokens = null;
   #maybeSlug = null;
   #pathnameTokens = null;
   #tldTokens = null;
+  groupKey = null;
   isDuplicate = false;
+  isFocusedWindow = false;
 
-  constructor(tab, windowProps, containers, sortPrefs) {
+  constructor(tab, windowProps, containers, sortPrefs, dupePrefs, exclusionRules) {
     let url;
     ({
       active: this.isActive,
+      cookieStoreId: this.cookieStoreId,
+      discarded: this.isDiscarded = false,
+      groupId: this.groupId = -1,
       id: this.id,
       index: this.index,
+      lastAccessed: this.lastAccessed = 0,
+      openerTabId: this.openerTabId,
+      pinned: this.isPinned = false,
       status: this.status,
       title: this.title = "",
       url,
@@ -68,6 +228,12 @@ class TabProps {
     this.isBlank = BLANK_TAB_URLS.has(url);
     this.windowProps = windowProps;
 
+    // Fixed tabs are never moved. Kept tabs are never closed.
+    ({
+      isFixed: this.isFixed,
+      isKept: this.isKept
+    } = exclusionRules.match(tab));
+
     let protocol, pathname, searchParams;
     ({
       protocol = ":",
@@ -81,19 +247,43 @@ class TabProps {
 
     const hasPathname = this.pathname !== "";
     const containerIndex = containers?.get(tab?.cookieStoreId) || -1;
+    this.containerIndex = containerIndex;
+
+    // Tabs opened before they were tracked are older than the rest.
+    this.openedTime = tabOpenedTimes.get(this.id) ?? 0;
 
     const {
+      newestFirst,
+      priorityRules,
+      queryRules,
       sortMode,
-      sortByQueryString
+      sortByQueryString,
+      sortTimeAfterHost
     } = sortPrefs;
 
-    this.queryString = sortByQueryString ? searchParams.toString() : "";
+    const normalizedQueryString = queryRules.normalize(this.hostname, searchParams);
+    this.queryString = sortByQueryString ? normalizedQueryString : "";
+
+    const {
+      ignoreHash,
+      ignoreProtocol,
+      ignoreQueryString,
+      ignoreTitle,
+      ignoreWww
+    } = dupePrefs;
 
-    const domainCriteria = [this.lowerDomainTokens, this.tldTokens, hasPathname];
-    const pathCriteria = [this.pathnameTokens, this.queryString, this.hash];
     this.dupeCriteria = [
-      containerIndex, protocol, ...domainCriteria, ...pathCriteria, this.title
+      containerIndex,
+      ignoreProtocol ? "" : protocol,
+      ignoreWww ? this.hostname.replace(/^www\./, "") : this.hostname,
+      this.pathname,
+      ignoreQueryString ? "" : normalizedQueryString,
+      ignoreHash ? "" : this.hash,
+      ignoreTitle ? "" : this.title
     ].join("\u0010") || "";
+
+    const domainCriteria = [this.lowerDomainTokens, this.tldTokens, hasPathname];
+    const pathCriteria = [this.pathnameTokens, this.queryString, this.hash];
     let criteria;
 
     switch (sortMode) {
@@ -101,31 +291,48 @@ class TabProps {
         criteria = [containerIndex, protocol, ...domainCriteria, this.title, ...pathCriteria];
         break;
       case 2:
-        this.sortCriteria = this.dupeCriteria;
-        return;
+        criteria = [containerIndex, protocol, ...domainCriteria, ...pathCriteria, this.title];
+        break;
       case 3:
         criteria = [containerIndex, protocol, this.title, ...domainCriteria, ...pathCriteria];
         break;
       case 4:
         criteria = [containerIndex, protocol, ...domainCriteria];
         break;
+      case 5:
+      case 6:
+        criteria = sortTimeAfterHost ?
+          [containerIndex, protocol, this.lowerDomainTokens, this.tldTokens] :
+          [containerIndex];
+        break;
       default:
         criteria = [containerIndex];
         break;
     }
     this.sortCriteria = criteria.join("\u0010") || "";
+
+    // Tabs on the priority list come first, in the listed order.
+    this.sortPriority = priorityRules.match(tab);
+
+    // Time sort modes sort by time after the other criteria. Newest first is
+    // sorted by negative times. Tab IDs break ties between untracked tabs.
+    const timeSign = newestFirst ? -1 : 1;
+    this.sortTime = timeSign * (sortMode === 5 ? this.lastAccessed : this.openedTime);
+    this.sortId = timeSign * this.id;
   }
 
   get lowerDomainTokens() {
     if (!this.#lowerDomainTokens) {
       [this.#tldTokens, this.#lowerDomainTokens] =
-        this.windowProps.getHostnameTokens(this.hostname);
+        this.windowProps?.getHostnameTokens(this.hostname) ??
+        splitHostname(this.hostname);
     }
     return this.#lowerDomainTokens;
   }
 
   get pathnameTokens() {
-    return this.#pathnameTokens ??= this.windowProps.getPathnameTokens(this.pathname);
+    return this.#pathnameTokens ??=
+      this.windowProps?.getPathnameTokens(this.pathname) ?? this.pathname.split("/");
   }
 
   get maybeSlug() {
@@ -140,10 +347,16 @@ class TabProps {
     return this.#maybeSlug;
   }
 
+  get registrableDomain() {
+    const domainTokens = [...this.tldTokens, ...this.lowerDomainTokens.slice(0, 1)];
+    return domainTokens.reverse().join(".");
+  }
+
   get tldTokens() {
     if (!this.#tldTokens) {
       [this.#tldTokens, this.#lowerDomainTokens] =
-        this.windowProps.getHostnameTokens(this.hostname);
+        this.windowProps?.getHostnameTokens(this.hostname) ??
+        splitHostname(this.hostname);
     }
     return this.#tldTokens;
   }
@@ -164,7 +377,7 @@ class WindowProps {
   }
 
   /*
-   * Roughly split hostname into top-level and lower-level domain tokens.
+   * Split hostname into tokens, caching splitHostname() for this window.
    *
    * @param hostname      hostname
    * @return              [top-level domain tokens, lower-level domain tokens]
@@ -172,9 +385,7 @@ class WindowProps {
   getHostnameTokens(hostname) {
     let hostnameTokens = this.#hostnameTokenCache.get(hostname);
     if (!hostnameTokens) {
-      const tokens = hostname.split(".").reverse();
-      const splitIndex = (tokens.length > 2 && tokens[1].length <= 3) ? 2 : 1;
-      hostnameTokens = [tokens.slice(0, splitIndex), tokens.slice(splitIndex)];
+      hostnameTokens = splitHostname(hostname);
       this.#hostnameTokenCache.set(hostname, hostnameTokens);
     }
     return hostnameTokens;
@@ -199,14 +410,55 @@ class WindowProps {
     this.#hostnameTokenCache.clear();
     this.#pathnameTokenCache.clear();
     WindowProps.#windows.delete(this.windowId);
+
+    // Start the run that waited for this window, if any.
+    if (pendingRuns.has(this.windowId))
+      setTimeout(startPendingRun, 0, this.windowId);
   }
 }
 
 
+/*
+ * Split hostname into top-level (public suffix) and lower-level domain tokens.
+ *
+ * Roughly guesses the public suffix if the Public Suffix List isn't loaded.
+ * IP addresses have no top-level domain tokens.
+ *
+ * @param hostname      hostname
+ * @return              [top-level domain tokens, lower-level domain tokens]
+ */
+function splitHostname(hostname) {
+  "use strict";
+
+  if (hostname.startsWith("[") || /^[\d.]+$/.test(hostname))
+    return [[], hostname.split(".")];
+
+  const tokens = hostname.split(".").reverse();
+  const splitIndex = publicSuffixList ?
+    publicSuffixList.getSuffixLength(tokens) :
+    (tokens.length > 2 && tokens[1].length <= 3) ? 2 : 1;
+  return [tokens.slice(0, splitIndex), tokens.slice(splitIndex)];
+}
+
+
 /*
  * Called when the "browser action" is invoked.
  */
-function onBrowserAction(tab, onClickData) {
+async function onBrowserAction(tab, onClickData) {
+  "use strict";
+
+  return runBrowserAction(tab.windowId);
+}
+
+
+/*
+ * Runs the browser action on a window.
+ *
+ * If several tabs are selected, only they are processed.
+ *
+ * @param windowId      window ID
+ */
+async function runBrowserAction(windowId) {
   "use strict";
 
   const prefs = Object.assign({}, PREFS);
@@ -215,8 +467,29 @@ function onBrowserAction(tab, onClickData) {
 
   const deduplicate = prefs.pref_tabs_deduplicate_on_browser_action === "true";
 
-  if (sort || deduplicate)
-    return processTabs(tab.windowId, sort, deduplicate, prefs);
+  if ((sort || deduplicate) && prefs.pref_browser_action_preview === "true")
+    return openPreview(windowId);
+
+  if (sort || deduplicate) {
+    const tabIds = await getSelectedTabIds(windowId);
+
+    // Ask first if tabs that would be closed are protected. Otherwise apply
+    // the same plan, so tabs are only checked once.
+    if (prefs.pref_tabs_protect_confirm === "true" &&
+        !WindowProps.hasWindowById(windowId)) {
+      const windowProps = new WindowProps(windowId);
+      const plan = await planTabs(windowProps, sort, deduplicate, prefs, false, tabIds);
+      if (plan && !plan.protected.length)
+        await applyPlan(plan, []);
+      windowProps.clear();
+
+      if (plan?.protected.length)
+        return openPreview(windowId);
+      return;
+    }
+
+    return processTabs(windowId, sort, deduplicate, prefs, false, tabIds);
+  }
 
   // The browser action is not configured to sort nor deduplicate tabs.
   return browser.runtime.openOptionsPage();
@@ -224,212 +497,2922 @@ function onBrowserAction(tab, onClickData) {
 
 
 /*
- * Called when a storage area is changed.
+ * Called when a message is sent from an extension page.
+ *
+ * @param message       message: { type, ... }
+ * @param sender        message sender
+ * @return              promise of the response
  */
-async function onStorageChanged(changes, areaName) {
+function onMessage(message, sender) {
   "use strict";
 
-  if (areaName !== "sync" || !("preferences" in changes)) {
-    return;
+  switch (message?.type) {
+    case "applyPlan":
+      return applyPreviewPlan(message.plan, message.keptTabIds);
+    case "closeTabs":
+      return closeTabs(message.windowId, message.tabIds);
+    case "getDuplicateReport":
+      return getDuplicateReport(message.windowId);
+    case "getPublicSuffixList":
+      return getPublicSuffixListInfo();
+    case "planTabs":
+      return planPreview(message.windowId);
+    case "runBrowserAction":
+      return runBrowserAction(message.windowId);
+    case "setPublicSuffixList":
+      return setPublicSuffixList(message.name, message.text);
+    case "sortTabs":
+      return sortTabsByMode(message.windowId, message.sortMode);
+    case "switchProfile":
+      return switchProfile(message.name);
+    case "testExclusionRules":
+      return testExclusionRules(message.text);
   }
+  return false;
+}
 
-  Object.assign(PREFS, changes.preferences.newValue);
-  return updateUI();
+
+/*
+ * Called when a keyboard shortcut is invoked.
+ *
+ * @param command       command name
+ * @param tab           active tab
+ */
+async function onCommand(command, tab) {
+  "use strict";
+
+  if (!tab)
+    [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+
+  return runCommand(command, tab);
 }
 
 
-function onTabUpdated(tabId, changeInfo, tab) {
+/*
+ * Called when a menu item is clicked.
+ *
+ * @param info          menu item click information
+ * @param tab           tab the menu item was clicked in
+ */
+function onMenuClicked(info, tab) {
   "use strict";
 
-  const prefs = Object.assign({}, PREFS);
-  const sort = prefs.pref_tabs_sort_on_update === "true" &&
-    (prefs.pref_tabs_sort_by_container === "true" ||
-    prefs.pref_tabs_sort_by_parts !== "none");
-  const deduplicate = prefs.pref_tabs_deduplicate_on_update === "true";
+  if (info.menuItemId === "keep_tab")
+    return setTabExempt(tab.id, info.checked);
 
-  if (changeInfo.status !== "complete" || !changeInfo.status)
+  // Options are then no longer saved to a profile.
+  if (info.menuItemId === "profile_none")
+    return browser.storage.sync.set({ activeProfile: null });
+
+  return runCommand(info.menuItemId, tab);
+}
+
+
+/*
+ * Called when a menu is shown.
+ *
+ * @param info          menu information
+ * @param tab           tab the menu was shown for
+ */
+function onMenuShown(info, tab) {
+  "use strict";
+
+  if (!info.contexts.includes("tab") || !tab)
     return;
 
-  if (sort || deduplicate)
-    return processTabs(tab.windowId, sort, deduplicate, prefs);
+  browser.contextMenus.update("keep_tab", { checked: exemptTabIds.has(tab.id) });
+  browser.contextMenus.refresh();
 }
 
 
 /*
- * Updates UI elements such as titles and descriptions.
+ * Runs a command from a keyboard shortcut or menu item.
+ *
+ * @param command       command name
+ * @param tab           active tab
  */
-function updateUI() {
+function runCommand(command, tab) {
   "use strict";
 
-  const sort = PREFS.pref_tabs_sort_on_browser_action === "true" &&
-    PREFS.pref_tabs_sort_by_parts !== "none";
-  const deduplicate = PREFS.pref_tabs_deduplicate_on_browser_action === "true";
+  // Profiles are switched to by their number in the list.
+  const profileNumber = /^switch_profile_(\d+)$/.exec(command)?.[1];
+  if (profileNumber)
+    return switchProfile(profileNumber - 1);
+
+  switch (command) {
+    case "close_duplicates_of_tab":
+      return closeDuplicatesOfTab(tab);
+    case "close_site_tabs":
+      return closeSiteTabs(tab);
+    case "merge_windows":
+      return mergeWindows(tab.windowId);
+    case "move_site_tabs_to_window":
+      return moveSiteTabsToWindow(tab);
+    case "sort_selected_tabs":
+      return sortSelectedTabs(tab.windowId);
+    case "split_window":
+      return splitWindow(tab.windowId);
+    case "undo_last_run":
+      return undoLastRun(tab.windowId);
+  }
+}
 
-  // Default browser action title.
-  let titleID = "browser_action_none_label";
-  let shortcutDescriptionID = "browser_action_shortcut_none_label";
 
-  if (sort) {
-    if (deduplicate) {
+/*
+ * Creates menu items.
+ */
+function createMenus() {
+  "use strict";
 
-      // Sort and deduplicate.
-      titleID = "browser_action_sort_deduplicate_label";
-      shortcutDescriptionID = "browser_action_shortcut_sort_deduplicate_label";
-    } else {
+  for (const id of ["undo_last_run", "split_window", "merge_windows"]) {
+    browser.contextMenus.create({
+      contexts: ["action"],
+      id,
+      title: browser.i18n.getMessage(`menu_${id}_label`)
+    });
+  }
 
-      // Sort.
-      titleID = "browser_action_sort_label";
-      shortcutDescriptionID = "browser_action_shortcut_sort_label";
+  // Only some browsers have a tab context menu.
+  const tabMenuIds = [
+    "close_duplicates_of_tab",
+    "close_site_tabs",
+    "sort_selected_tabs",
+    "move_site_tabs_to_window"
+  ];
+  try {
+    for (const id of tabMenuIds) {
+      browser.contextMenus.create({
+        contexts: ["tab"],
+        id,
+        title: browser.i18n.getMessage(`menu_${id}_label`)
+      });
     }
-  } else if (deduplicate) {
+    browser.contextMenus.create({
+      checked: false,
+      contexts: ["tab"],
+      id: "keep_tab",
+      title: browser.i18n.getMessage("menu_keep_tab_label"),
+      type: "checkbox"
+    });
+  } catch (err) {}
+}
 
-    // Deduplicate.
-    titleID = "browser_action_deduplicate_label";
-    shortcutDescriptionID = "browser_action_deduplicate_label";
+
+/*
+ * Called when a storage area is changed.
+ */
+async function onStorageChanged(changes, areaName) {
+  "use strict";
+
+  // Load the Public Suffix List again when a file is chosen or reset.
+  if (areaName === "local" && "publicSuffixList" in changes) {
+    publicSuffixList = null;
+    publicSuffixListLoading = null;
+    placements.clear();
+    return;
   }
 
-  // Set browser action title.
-  browser.action.setTitle({
-    title: browser.i18n.getMessage(titleID)
-  });
+  if (areaName !== "sync")
+    return;
 
-  // Set browser action shortcut description.
-  if ("update" in browser.commands) {
-    browser.commands.update({
-      name: "_execute_action",
-      description: browser.i18n.getMessage(shortcutDescriptionID)
-    });
+  if ("profiles" in changes || "activeProfile" in changes) {
+    const { activeProfile: name = null, profiles = [] } =
+      await browser.storage.sync.get(["activeProfile", "profiles"]);
+    setProfiles(profiles, name);
+  } else if (!("preferences" in changes)) {
+    return;
   }
+
+  if ("preferences" in changes)
+    Object.assign(PREFS, changes.preferences.newValue);
+  return updateUI();
 }
 
 
 /*
- * Sorts, deduplicates, and removes low-priority (or blank) tabs.
+ * Keeps track of preference profiles, and lists them in the action menu.
  *
- * @param windowId      window ID
- * @param sort          sort tabs
- * @param deduplicate   deduplicate tabs
- * @param prefs         preferences
+ * @param profiles      [{ name, preferences }]
+ * @param name          name of the active profile, or null
  */
-async function processTabs(windowId, sort, deduplicate, prefs) {
+function setProfiles(profiles, name) {
   "use strict";
 
-  if (WindowProps.hasWindowById(windowId))
-    return Promise.resolve();
+  profileNames = profiles.map(profile => profile.name);
+  activeProfile = profileNames.includes(name) ? name : null;
 
-  const windowProps = new WindowProps(windowId);
-  const unpinnedTabs = await browser.tabs.query({
-    pinned: false,
-    windowId
+  profileMenusUpdating = profileMenusUpdating
+    .then(updateProfileMenus)
+    .catch((err) => null);
+}
+
+
+/*
+ * Lists preference profiles in the action menu, the active one checked.
+ *
+ * Menu items have the same IDs as the commands that switch to them. "None" is
+ * checked while no profile is active, as some browsers check the first item.
+ */
+async function updateProfileMenus() {
+  "use strict";
+
+  await browser.contextMenus.remove("profiles").catch((err) => null);
+  if (!profileNames.length)
+    return;
+
+  browser.contextMenus.create({
+    contexts: ["action"],
+    id: "profiles",
+    title: browser.i18n.getMessage("menu_profiles_label")
   });
 
-  if (!unpinnedTabs?.length) {
-    windowProps.clear();
-    return Promise.resolve();
-  }
+  browser.contextMenus.create({
+    checked: activeProfile === null,
+    contexts: ["action"],
+    id: "profile_none",
+    parentId: "profiles",
+    title: browser.i18n.getMessage("menu_profile_none_label"),
+    type: "radio"
+  });
 
-  // Get first tab index.
-  const index = unpinnedTabs[0].index;
+  profileNames.forEach((name, index) => {
+    browser.contextMenus.create({
+      checked: name === activeProfile,
+      contexts: ["action"],
+      id: `switch_profile_${index + 1}`,
+      parentId: "profiles",
+      title: name,
+      type: "radio"
+    });
+  });
+}
 
-  let containers = null;
-  if (("contextualIdentities" in browser) && prefs.pref_tabs_sort_by_container === "true") {
-    try {
-      const containersArray = await browser.contextualIdentities.query({});
-      containers = new Map(
-        containersArray.map((c, i) => [c.cookieStoreId, i])
-      );
-    } catch (err) {}
-  }
 
-  const sortMode = SORT_MODES.get(prefs.pref_tabs_sort_by_parts);
-  const sortPrefs = {
-    sortMode,
-    sortByQueryString: prefs.pref_tabs_sort_by_query_string === "true"
+/*
+ * Makes a preference profile active, replacing preferences with its own.
+ *
+ * Profiles are looked up in storage, as a shortcut may be what started the
+ * background script.
+ *
+ * @param profileKey    profile name, or index in the list of profiles
+ * @return              false if there is no such profile
+ */
+async function switchProfile(profileKey) {
+  "use strict";
+
+  const { profiles = [] } = await browser.storage.sync.get("profiles");
+  const profile = typeof profileKey === "number" ?
+    profiles[profileKey] :
+    profiles.find(profile => profile.name === profileKey);
+  if (!profile)
+    return false;
+
+  // Profiles only store preferences that differ from the defaults.
+  await browser.storage.sync.set({
+    activeProfile: profile.name,
+    preferences: Object.assign({}, PREFS_DEFAULT, profile.preferences)
+  });
+  return true;
+}
+
+
+function onTabUpdated(tabId, changeInfo, tab) {
+  "use strict";
+
+  if ("url" in changeInfo || "title" in changeInfo || "pinned" in changeInfo) {
+    indexTab(tab);
+    updateBadge();
   }
 
-  const tabPropsArray = unpinnedTabs.map(
-    unpinnedTab => new TabProps(unpinnedTab, windowProps, containers, sortPrefs)
-  );
+  // The tab may no longer be in its sorted place.
+  if ("url" in changeInfo || "title" in changeInfo || "groupId" in changeInfo)
+    placements.removeTab(tab.windowId, tabId);
 
-  if (sort)
-    await sortTabs(tabPropsArray, index, sortMode);
-  await deduplicateTabs(windowId, tabPropsArray, index, deduplicate);
+  // Navigation within a page, such as to an anchor, completes at once.
+  if ("url" in changeInfo && tab.status === "loading" &&
+      PREFS.pref_tabs_deduplicate_on_open === "true")
+    return preventDuplicate(tab, Object.assign({}, PREFS));
 
-  tabPropsArray.length = 0;
-  windowProps.clear();
-  return Promise.resolve();
+  if (changeInfo.status === "complete" && !BLANK_TAB_URLS.has(tab.url))
+    openingTabs.delete(tabId);
+
+  const prefs = Object.assign({}, PREFS);
+  const sort = prefs.pref_tabs_sort_on_update === "true" &&
+    (prefs.pref_tabs_sort_by_container === "true" ||
+    prefs.pref_tabs_sort_by_parts !== "none");
+  const deduplicate = prefs.pref_tabs_deduplicate_on_update === "true";
+
+  if (changeInfo.status !== "complete" || !changeInfo.status)
+    return;
+
+  // Leave tabs reopened by undo where they are.
+  if (restoredTabIds.has(tabId))
+    return;
+
+  if (sort || deduplicate)
+    debounceTabUpdate(tab);
 }
 
 
 /*
- * Sorts tabs.
+ * Waits for updates to the tabs of a window to stop before processing it.
  *
- * @param windowId      window ID
- * @param index         index of first unpinned tab
- * @param sortMode      preferences
+ * @param tab           updated tab
  */
-async function sortTabs(tabPropsArray, index, sortMode) {
+function debounceTabUpdate(tab) {
   "use strict";
 
-  const comparator = sortMode === 4 ? compareTabsOrderAuto : compareTabsOrder;
+  let update = updatedWindows.get(tab.windowId);
+  if (update)
+    clearTimeout(update.timeoutId);
+  else
+    updatedWindows.set(tab.windowId, update = { tabIds: new Set() });
 
-  // Sort and move tabs into place.
-  return browser.tabs.move(
-    tabPropsArray.sort(comparator).map(tabProps => tabProps.id),
-    { index }
-  ).catch((err) => Promise.resolve());
+  update.tabIds.add(tab.id);
+  update.timeoutId = setTimeout(processTabUpdates, UPDATE_DELAY, tab.windowId);
 }
 
 
 /*
- * Deduplicates, and removes low-priority (or blank) tabs.
+ * Processes a window once updates to its tabs have stopped.
+ *
+ * Updated tabs are placed one at a time where possible. Otherwise the whole
+ * window is processed once.
  *
  * @param windowId      window ID
- * @param sort          sort tabs
- * @param deduplicate   deduplicate tabs
- * @param prefs         preferences
  */
-async function deduplicateTabs(windowId, tabPropsArray, index, deduplicate) {
+async function processTabUpdates(windowId) {
   "use strict";
 
-  tabPropsArray.sort(compareTabsSimilarity);
+  const { tabIds } = updatedWindows.get(windowId);
+  updatedWindows.delete(windowId);
 
-  // Filter duplicate and blank tabs.
-  const unwantedTabs = tabPropsArray.filter(tabProps =>
-    tabProps.status === "complete" &&
-      (tabProps.isBlank || deduplicate && tabProps.isDuplicate)
-  );
+  const prefs = Object.assign({}, PREFS);
+  const sort = prefs.pref_tabs_sort_on_update === "true" &&
+    (prefs.pref_tabs_sort_by_container === "true" ||
+    prefs.pref_tabs_sort_by_parts !== "none");
+  const deduplicate = prefs.pref_tabs_deduplicate_on_update === "true";
 
-  // Create a new tab to remain after culling.
-  if (index === 0 && tabPropsArray.length === unwantedTabs.length) {
-    return browser.tabs.create({
-      active: false,
-      windowId: windowId
-    }).finally(browser.tabs.remove(unwantedTabs.map(tab => tab.id)));
+  if (!sort && !deduplicate)
+    return;
+
+  const tabs = (await Promise.all(
+    [...tabIds].map(tabId => browser.tabs.get(tabId).catch((err) => null))
+  )).filter(tab => tab?.windowId === windowId);
+
+  if (sort && canPlaceTabs(prefs, deduplicate) && tabs.every(tab => !tab.pinned)) {
+    for (const tab of tabs)
+      await placeTab(tab, deduplicate, prefs);
+    return;
   }
 
-  return browser.tabs.remove(unwantedTabs.map(tab => tab.id))
+  if (tabs.length)
+    return processTabs(windowId, sort, deduplicate, prefs, true);
 }
 
 
 /*
- * Compares tabs to determine order.
+ * Called when a tab is closed.
  *
- * @param propsA        first tab properties
- * @param propsB        second tab properties
- * @return              numeric result
+ * @param tabId         tab ID
  */
-function compareTabsOrder(propsA, propsB) {
+function onTabRemoved(tabId) {
   "use strict";
 
-  return propsA.sortCriteria.localeCompare(propsB.sortCriteria);
+  if (restoredTabIds.has(tabId))
+    setTabRestored(tabId, false);
+  openingTabs.delete(tabId);
+  revertingTabIds.delete(tabId);
+  if (tabOpenedTimes.delete(tabId))
+    saveTabOpenedTimes();
+  if (exemptTabIds.has(tabId))
+    setTabExempt(tabId, false);
+
+  duplicateIndex.removeTab(tabId);
+  updateBadge();
 }
 
 
 /*
- * Compares tabs to heuristically determine order.
+ * Called when a tab is opened.
  *
- * @param propsA        first tab properties
+ * @param tab           tab
+ */
+function onTabCreated(tab) {
+  "use strict";
+
+  setTabOpenedTime(tab.id, Date.now());
+
+  openingTabs.set(tab.id, {
+    hasOpener: tab.openerTabId !== undefined,
+    isBackground: !tab.active,
+    isBlank: BLANK_TAB_URLS.has(tab.pendingUrl ?? tab.url)
+  });
+
+  indexTab(tab);
+  updateBadge();
+}
+
+
+/*
+ * Called when a tab is moved into a window.
+ *
+ * @param tabId         tab ID
+ * @param attachInfo    { newWindowId, newPosition }
+ */
+async function onTabAttached(tabId, attachInfo) {
+  "use strict";
+
+  const tab = await browser.tabs.get(tabId).catch((err) => null);
+  if (tab)
+    indexTab(tab);
+  updateBadge();
+}
+
+
+/*
+ * Called when a tab is moved out of a window.
+ *
+ * @param tabId         tab ID
+ */
+function onTabDetached(tabId) {
+  "use strict";
+
+  duplicateIndex.removeTab(tabId);
+  updateBadge();
+}
+
+
+/*
+ * Called when the focused window changes.
+ *
+ * @param windowId      ID of the focused window, or WINDOW_ID_NONE
+ */
+function onWindowFocusChanged(windowId) {
+  "use strict";
+
+  // Keep showing the last window while another application is focused.
+  if (windowId === browser.windows.WINDOW_ID_NONE)
+    return;
+
+  focusedWindowId = windowId;
+  updateBadge();
+}
+
+
+/*
+ * Called when a window is closed.
+ *
+ * @param windowId      window ID
+ */
+function onWindowRemoved(windowId) {
+  "use strict";
+
+  duplicateIndex.removeWindow(windowId);
+  placements.removeWindow(windowId);
+  pendingRuns.delete(windowId);
+  clearTimeout(updatedWindows.get(windowId)?.timeoutId);
+  updatedWindows.delete(windowId);
+  return browser.storage.session.remove([`summary_${windowId}`, `undo_${windowId}`]);
+}
+
+
+/*
+ * Called when an alarm goes off.
+ *
+ * @param alarm         alarm
+ */
+function onAlarm(alarm) {
+  "use strict";
+
+  if (alarm.name === SCHEDULE_ALARM)
+    return runSchedule("interval");
+}
+
+
+/*
+ * Called when the browser goes idle or becomes active again.
+ *
+ * @param newState      "active", "idle" or "locked"
+ */
+function onIdleStateChanged(newState) {
+  "use strict";
+
+  if (newState === "idle" && Number(PREFS.pref_schedule_idle_minutes) > 0)
+    return runSchedule("idle");
+}
+
+
+/*
+ * Switches to an existing tab instead of a tab navigating to a duplicate.
+ *
+ * A tab being opened is closed. A tab navigating away from another page is
+ * sent back to it. Titles are ignored, as the new page hasn't loaded yet.
+ *
+ * @param tab           tab that started navigating
+ * @param prefs         preferences
+ */
+async function preventDuplicate(tab, prefs) {
+  "use strict";
+
+  const tabId = tab.id;
+  if (revertingTabIds.delete(tabId))
+    return;
+
+  const opening = openingTabs.get(tabId);
+  if (tab.pinned || BLANK_TAB_URLS.has(tab.url) || exemptTabIds.has(tabId) ||
+      restoredTabIds.has(tabId) || WindowProps.hasWindowById(tab.windowId))
+    return;
+
+  // Tabs opened from a link in the background. Browsers don't say whether by
+  // middle-click, a modifier key or the context menu, so all count.
+  if (opening?.isBackground && opening.hasOpener &&
+      prefs.pref_tabs_deduplicate_on_open_except_background === "true")
+    return;
+
+  // Tabs opened straight to a page without an opener, such as by another
+  // extension or application.
+  if (opening && !opening.hasOpener && !opening.isBlank &&
+      prefs.pref_tabs_deduplicate_on_open_except_no_opener === "true")
+    return;
+
+  // Tabs still opening aren't existing tabs, or two tabs opening the same
+  // page at once would each switch to the other.
+  const allWindows = prefs.pref_tabs_deduplicate_all_windows === "true";
+  const otherTabs = (await browser.tabs.query(allWindows ? {} : { windowId: tab.windowId }))
+    .filter(otherTab => otherTab.id !== tabId && !openingTabs.has(otherTab.id) &&
+      (!otherTab.pinned || prefs.pref_tabs_deduplicate_pinned === "true") &&
+      otherTab.incognito === tab.incognito && !BLANK_TAB_URLS.has(otherTab.url));
+
+  prefs.pref_tabs_deduplicate_ignore_title = "true";
+  const [tabProps, ...otherTabPropsArray] =
+    await getTabPropsArray([tab, ...otherTabs], null, prefs);
+
+  if (tabProps.isKept)
+    return;
+
+  // Prefer a tab in the same window.
+  const existingTab = otherTabs
+    .filter((otherTab, index) =>
+      otherTabPropsArray[index].dupeCriteria === tabProps.dupeCriteria)
+    .sort((tabA, tabB) =>
+      (tabB.windowId === tab.windowId) - (tabA.windowId === tab.windowId))[0];
+
+  // The tab may have been restored by undo meanwhile.
+  if (!existingTab || restoredTabIds.has(tabId))
+    return;
+
+  // The existing tab may have been closed meanwhile.
+  try {
+    await browser.tabs.update(existingTab.id, { active: true });
+    if (existingTab.windowId !== tab.windowId)
+      await browser.windows.update(existingTab.windowId, { focused: true });
+  } catch (err) {
+    return;
+  }
+
+  if (opening) {
+    await browser.tabs.remove(tabId).catch((err) => null);
+  } else {
+    revertingTabIds.add(tabId);
+    await browser.tabs.goBack(tabId).catch((err) => revertingTabIds.delete(tabId));
+  }
+}
+
+
+/*
+ * Updates UI elements such as titles and descriptions.
+ */
+function updateUI() {
+  "use strict";
+
+  const sort = PREFS.pref_tabs_sort_on_browser_action === "true" &&
+    PREFS.pref_tabs_sort_by_parts !== "none";
+  const deduplicate = PREFS.pref_tabs_deduplicate_on_browser_action === "true";
+
+  // Default browser action title.
+  let titleID = "browser_action_none_label";
+  let shortcutDescriptionID = "browser_action_shortcut_none_label";
+
+  if (sort) {
+    if (deduplicate) {
+
+      // Sort and deduplicate.
+      titleID = "browser_action_sort_deduplicate_label";
+      shortcutDescriptionID = "browser_action_shortcut_sort_deduplicate_label";
+    } else {
+
+      // Sort.
+      titleID = "browser_action_sort_label";
+      shortcutDescriptionID = "browser_action_shortcut_sort_label";
+    }
+  } else if (deduplicate) {
+
+    // Deduplicate.
+    titleID = "browser_action_deduplicate_label";
+    shortcutDescriptionID = "browser_action_deduplicate_label";
+  }
+
+  // Set browser action title, with the active profile.
+  let title = browser.i18n.getMessage(titleID);
+  if (activeProfile !== null)
+    title = browser.i18n.getMessage(
+      "browser_action_profile_label", [title, activeProfile]
+    );
+
+  browser.action.setTitle({ title });
+
+  // Show the popup instead of running the browser action, if chosen.
+  browser.action.setPopup({
+    popup: PREFS.pref_browser_action_popup === "true" ? "popup.html" : ""
+  });
+
+  // Set browser action shortcut description.
+  if ("update" in browser.commands) {
+    browser.commands.update({
+      name: "_execute_action",
+      description: browser.i18n.getMessage(shortcutDescriptionID)
+    });
+  }
+
+  // Schedules are only set again when their preferences change.
+  const source = [
+    PREFS.pref_schedule_idle_minutes, PREFS.pref_schedule_interval_minutes
+  ].join("\n");
+  if (source !== schedulesSource) {
+    schedulesSource = source;
+    updateSchedules();
+  }
+
+  // Sort order depends on preferences.
+  placements.clear();
+
+  // Duplicate keys depend on preferences.
+  return rebuildDuplicateIndex();
+}
+
+
+/*
+ * Sets the alarm for running at an interval, and how long until the browser
+ * counts as idle.
+ */
+async function updateSchedules() {
+  "use strict";
+
+  // Periods shorter than browsers allow are rounded up.
+  let minutes = Number(PREFS.pref_schedule_interval_minutes);
+  if (minutes > 0) {
+    minutes = Math.max(ALARM_MIN_MINUTES, minutes);
+    const alarm = await browser.alarms.get(SCHEDULE_ALARM);
+    if (alarm?.periodInMinutes !== minutes) {
+      await browser.alarms.create(SCHEDULE_ALARM, {
+        delayInMinutes: minutes,
+        periodInMinutes: minutes
+      });
+    }
+  } else {
+    await browser.alarms.clear(SCHEDULE_ALARM);
+  }
+
+  const idleMinutes = Number(PREFS.pref_schedule_idle_minutes);
+  if (idleMinutes > 0)
+    browser.idle.setDetectionInterval(Math.max(IDLE_DETECTION_MIN_SECONDS, idleMinutes * 60));
+
+  return saveScheduleTimes(null);
+}
+
+
+/*
+ * Sorts and/or deduplicates tabs on schedule, with the schedule's preferences.
+ *
+ * @param name          schedule name, from SCHEDULES
+ */
+async function runSchedule(name) {
+  "use strict";
+
+  const prefs = Object.assign({}, PREFS, {
+    pref_tabs_sort_by_parts: PREFS[`pref_schedule_${name}_sort_by_parts`]
+  });
+  const sort = prefs.pref_tabs_sort_by_parts !== "none";
+  const deduplicate = prefs[`pref_schedule_${name}_deduplicate`] === "true";
+
+  if (!sort && !deduplicate)
+    return;
+
+  const windows = prefs[`pref_schedule_${name}_windows`] === "all" ?
+    await browser.windows.getAll({ windowTypes: ["normal"] }) :
+    [await browser.windows.getLastFocused({ windowTypes: ["normal"] }).catch((err) => null)];
+
+  for (const window of windows) {
+    if (window)
+      await processTabs(window.id, sort, deduplicate, prefs, true);
+  }
+
+  return saveScheduleTimes(name);
+}
+
+
+/*
+ * Saves when each schedule last ran and runs next, for the options page.
+ *
+ * @param name          name of the schedule that just ran, or null
+ */
+function saveScheduleTimes(name) {
+  "use strict";
+
+  const time = Date.now();
+
+  scheduleTimesSaving = scheduleTimesSaving.then(async () => {
+    const { schedules = {} } = await browser.storage.local.get("schedules");
+    const alarm = await browser.alarms.get(SCHEDULE_ALARM);
+
+    for (const scheduleName of SCHEDULES) {
+      schedules[scheduleName] = {
+        lastRun: scheduleName === name ? time : schedules[scheduleName]?.lastRun ?? null,
+        nextRun: scheduleName === "interval" ? alarm?.scheduledTime ?? null : null
+      };
+    }
+
+    return browser.storage.local.set({ schedules });
+  }).catch((err) => null);
+  return scheduleTimesSaving;
+}
+
+
+/*
+ * Rebuilds the duplicate index of every window, then updates the badge.
+ */
+async function rebuildDuplicateIndex() {
+  "use strict";
+
+  duplicateIndex.clear();
+  duplicateIndexContext = null;
+
+  if (PREFS.pref_browser_action_badge === "true") {
+    duplicateIndexContext = await getTabPropsContext(Object.assign({}, PREFS));
+
+    const windows = await browser.windows.getAll({
+      populate: true,
+      windowTypes: ["normal"]
+    });
+    for (const window of windows) {
+      window.tabs.forEach(indexTab);
+      if (window.focused)
+        focusedWindowId = window.id;
+    }
+  }
+
+  return updateBadge();
+}
+
+
+/*
+ * Adds or updates a tab in the duplicate index.
+ *
+ * Blank and kept tabs are never counted as duplicates, nor are tabs that
+ * exclusion rules keep, nor tabs without a URL yet. Pinned tabs only count if
+ * unpinned copies are closed.
+ *
+ * @param tab           tab
+ */
+function indexTab(tab) {
+  "use strict";
+
+  if (!duplicateIndexContext)
+    return;
+
+  // Tabs just opened may only have the URL they are loading.
+  const url = tab.url || tab.pendingUrl || "";
+
+  let key = null;
+  if (url !== "" && (!tab.pinned || PREFS.pref_tabs_deduplicate_pinned === "true") &&
+      !exemptTabIds.has(tab.id)) {
+    const {
+      containers,
+      dupePrefs,
+      exclusionRules,
+      sortPrefs
+    } = duplicateIndexContext;
+
+    // Tabs are only counted once they have a URL that parses. Not a real
+    // window, so without window properties.
+    try {
+      const tabProps = new TabProps(
+        { ...tab, url }, null, containers, sortPrefs, dupePrefs, exclusionRules
+      );
+      if (!tabProps.isBlank && !tabProps.isKept)
+        key = tabProps.dupeCriteria;
+    } catch (err) {}
+  }
+
+  duplicateIndex.setTab(tab.id, tab.windowId, key);
+}
+
+
+/*
+ * Shows the number of duplicate tabs in the focused window on the badge.
+ */
+function updateBadge() {
+  "use strict";
+
+  const duplicateCount = duplicateIndex.getDuplicateCount(focusedWindowId);
+  const text = duplicateCount ? duplicateCount.toString() : "";
+
+  if (text === badgeText)
+    return;
+
+  badgeText = text;
+  return browser.action.setBadgeText({ text });
+}
+
+
+/*
+ * Sorts, deduplicates, and removes low-priority (or blank) tabs.
+ *
+ * The window's previous state is kept so that the run can be undone.
+ *
+ * @param windowId      window ID
+ * @param sort          sort tabs
+ * @param deduplicate   deduplicate tabs
+ * @param prefs         preferences
+ * @param isAutomatic   run was triggered by a tab update or a schedule
+ * @param tabIds        IDs of the only tabs to process, or undefined for all
+ */
+async function processTabs(windowId, sort, deduplicate, prefs, isAutomatic, tabIds) {
+  "use strict";
+
+  if (WindowProps.hasWindowById(windowId)) {
+    queueRun(windowId, { deduplicate, isAutomatic, prefs, sort, tabIds });
+    return Promise.resolve();
+  }
+
+  const windowProps = new WindowProps(windowId);
+  const plan = await planTabs(windowProps, sort, deduplicate, prefs, isAutomatic, tabIds);
+
+  if (plan)
+    await applyPlan(plan, []);
+
+  windowProps.clear();
+  return Promise.resolve();
+}
+
+
+/*
+ * Queues a run for after the run in progress in its window. A run is merged
+ * into a queued run with the same preferences, so a scheduled run's own sort
+ * mode isn't replaced by another run's.
+ *
+ * @param windowId      window ID
+ * @param run           { deduplicate, isAutomatic, prefs, sort, tabIds }
+ */
+function queueRun(windowId, run) {
+  "use strict";
+
+  const queue = pendingRuns.get(windowId) ?? [];
+  const prefsJSON = JSON.stringify(run.prefs);
+  const index = queue.findIndex(pendingRun =>
+    JSON.stringify(pendingRun.prefs) === prefsJSON);
+
+  if (index === -1) {
+    pendingRuns.set(windowId, [...queue, run]);
+    logDiagnostic(windowId, "queued", getRunAction(run));
+    return;
+  }
+
+  const pendingRun = queue[index];
+  const mergedRun = {
+    deduplicate: pendingRun.deduplicate || run.deduplicate,
+    isAutomatic: pendingRun.isAutomatic && run.isAutomatic,
+    prefs: pendingRun.prefs,
+    sort: pendingRun.sort || run.sort,
+
+    // Only some tabs if both runs are for only some tabs.
+    tabIds: pendingRun.tabIds && run.tabIds ?
+      [...new Set([...pendingRun.tabIds, ...run.tabIds])] : undefined
+  };
+  pendingRuns.set(windowId, queue.with(index, mergedRun));
+  logDiagnostic(windowId, "merged", getRunAction(run));
+}
+
+
+/*
+ * Starts the first run queued for a window, unless the window is busy again.
+ * The rest start in turn, as each run finishes.
+ *
+ * @param windowId      window ID
+ */
+function startPendingRun(windowId) {
+  "use strict";
+
+  const queue = pendingRuns.get(windowId);
+  if (!queue || WindowProps.hasWindowById(windowId))
+    return;
+
+  const [run, ...rest] = queue;
+  if (rest.length)
+    pendingRuns.set(windowId, rest);
+  else
+    pendingRuns.delete(windowId);
+
+  const { deduplicate, isAutomatic, prefs, sort, tabIds } = run;
+  return processTabs(windowId, sort, deduplicate, prefs, isAutomatic, tabIds);
+}
+
+
+/*
+ * Describes what a run does, for the diagnostics log.
+ *
+ * @param run           { deduplicate, sort, ... }
+ * @return              "sort", "deduplicate" or "sort_deduplicate"
+ */
+function getRunAction(run) {
+  "use strict";
+
+  if (run.sort)
+    return run.deduplicate ? "sort_deduplicate" : "sort";
+  return "deduplicate";
+}
+
+
+/*
+ * Logs that an action was dropped, as its window was being processed.
+ *
+ * @param windowId      window ID
+ * @param action        action name, as in the diagnostics view
+ * @return              false
+ */
+function reportDropped(windowId, action) {
+  "use strict";
+
+  logDiagnostic(windowId, "dropped", action);
+  return false;
+}
+
+
+/*
+ * Adds an entry to the diagnostics log, for the diagnostics view.
+ *
+ * @param windowId      window ID
+ * @param kind          "dropped", "merged" or "queued"
+ * @param action        action name
+ */
+function logDiagnostic(windowId, kind, action) {
+  "use strict";
+
+  diagnosticsSaving = diagnosticsSaving.then(async () => {
+    const { diagnostics = [] } = await browser.storage.session.get("diagnostics");
+    diagnostics.push({ action, kind, time: Date.now(), windowId });
+    return browser.storage.session.set({
+      diagnostics: diagnostics.slice(-DIAGNOSTICS_MAX)
+    });
+  }).catch((err) => null);
+}
+
+
+/*
+ * Checks whether updated tabs can be placed one at a time, rather than sorting
+ * the whole window. Sorting by last use changes the places of other tabs, and
+ * tab groups, opener trees and other windows need the whole picture.
+ *
+ * @param prefs         preferences
+ * @param deduplicate   deduplicate tabs
+ * @return              true if tabs can be placed one at a time
+ */
+function canPlaceTabs(prefs, deduplicate) {
+  "use strict";
+
+  return prefs.pref_tabs_sort_by_parts !== "accessed" &&
+    prefs.pref_tabs_group_by_host !== "true" &&
+    prefs.pref_tabs_sort_by_opener !== "true" &&
+    !(deduplicate && (prefs.pref_tabs_deduplicate_all_windows === "true" ||
+      prefs.pref_tabs_deduplicate_pinned === "true"));
+}
+
+
+/*
+ * Moves an updated tab to its sorted place, found by binary search among the
+ * cached sorted tabs of its window.
+ *
+ * The whole window is processed instead if the cache is stale, or if the tab
+ * is fixed, grouped, blank or a duplicate. The cache is then rebuilt.
+ *
+ * @param tab           updated tab
+ * @param deduplicate   deduplicate tabs
+ * @param prefs         preferences
+ */
+async function placeTab(tab, deduplicate, prefs) {
+  "use strict";
+
+  const windowId = tab.windowId;
+  if (WindowProps.hasWindowById(windowId))
+    return processTabs(windowId, true, deduplicate, prefs, true);
+
+  const windowProps = new WindowProps(windowId);
+  const unpinnedTabs = await browser.tabs.query({ pinned: false, windowId });
+  const tabIds = unpinnedTabs.map(unpinnedTab => unpinnedTab.id);
+  const tabIndex = tabIds.indexOf(tab.id);
+  const others = tabIndex === -1 ? null : placements.get(windowId, tabIds, tab.id);
+
+  let tabProps = null;
+  if (others) {
+    [tabProps] = await getTabPropsArray([unpinnedTabs[tabIndex]], windowProps, prefs);
+    // Blank tabs are culled by a full run, even without deduplicating.
+    if (tabProps.isFixed || tabProps.groupId !== -1 || tabProps.isBlank || deduplicate &&
+        others.some(otherTabProps => otherTabProps.dupeCriteria === tabProps.dupeCriteria))
+      tabProps = null;
+  }
+
+  if (!tabProps) {
+    placements.removeWindow(windowId);
+    windowProps.clear();
+    await processTabs(windowId, true, deduplicate, prefs, true);
+    return cacheSortedTabs(windowId, prefs);
+  }
+
+  const index = placements.place(windowId, others, tabProps, getSortComparator(prefs));
+  if (index !== tabIndex) {
+    await browser.tabs.move(tab.id, { index: unpinnedTabs[0].index + index })
+      .catch((err) => placements.removeWindow(windowId));
+
+    await saveLastRun(windowId, [{
+      closedTabIds: [],
+      createdTabId: null,
+      index: unpinnedTabs[0].index,
+      tabs: unpinnedTabs,
+      windowId
+    }], true);
+    await saveRunSummary({ protected: [], windowId, windows: [] }, 0);
+  }
+
+  windowProps.clear();
+}
+
+
+/*
+ * Caches the sorted tabs of a window, for placing updated tabs.
+ *
+ * Nothing is cached if the tabs aren't in order, as when another run was in
+ * progress, or if any are fixed or grouped.
+ *
+ * @param windowId      window ID
+ * @param prefs         preferences
+ */
+async function cacheSortedTabs(windowId, prefs) {
+  "use strict";
+
+  if (WindowProps.hasWindowById(windowId))
+    return;
+
+  const windowProps = new WindowProps(windowId);
+  const unpinnedTabs = await browser.tabs.query({ pinned: false, windowId });
+  const tabPropsArray = await getTabPropsArray(unpinnedTabs, windowProps, prefs);
+  const comparator = getSortComparator(prefs);
+
+  const isSorted = tabPropsArray.every((tabProps, index) =>
+    !tabProps.isFixed && tabProps.groupId === -1 &&
+      (index === 0 || comparator(tabPropsArray[index - 1], tabProps) <= 0));
+
+  if (isSorted)
+    placements.set(windowId, tabPropsArray);
+  windowProps.clear();
+}
+
+
+/*
+ * Works out how tabs would be sorted and culled, without changing anything.
+ *
+ * If only some tabs are processed, they are sorted into the places they take
+ * up, and the other tabs stay where they are. Tabs fixed by exclusion rules
+ * always stay where they are.
+ *
+ * Pinned tabs are sorted as a section of their own, if chosen. They are never
+ * closed, but unpinned copies of them can be.
+ *
+ * @param windowProps   window properties
+ * @param sort          sort tabs
+ * @param deduplicate   deduplicate tabs
+ * @param prefs         preferences
+ * @param isAutomatic   run was triggered by a tab update or a schedule
+ * @param tabIds        IDs of the only tabs to process, or undefined for all
+ * @return              plan of the run, or null if there are no tabs
+ */
+async function planTabs(windowProps, sort, deduplicate, prefs, isAutomatic, tabIds) {
+  "use strict";
+
+  const windowId = windowProps.windowId;
+  const unpinnedTabs = await browser.tabs.query({
+    pinned: false,
+    windowId
+  });
+
+  if (!unpinnedTabs?.length)
+    return null;
+
+  // Get first tab index.
+  const index = unpinnedTabs[0].index;
+  const comparator = getSortComparator(prefs);
+  const selection = tabIds ? new Set(tabIds) : null;
+  const dedupePinned = deduplicate && prefs.pref_tabs_deduplicate_pinned === "true";
+  const sortPinned = sort && !selection && prefs.pref_tabs_sort_pinned === "true";
+
+  const windows = [{ index, tabs: unpinnedTabs, windowId }];
+  const pinnedTabs = dedupePinned || sortPinned ?
+    await browser.tabs.query({ pinned: true, windowId }) : [];
+  let focusedWindowId = windowId;
+
+  // Deduplicate across other normal windows of the same privacy.
+  if (deduplicate && !selection && prefs.pref_tabs_deduplicate_all_windows === "true") {
+    const allWindows = await browser.windows.getAll({
+      populate: true,
+      windowTypes: ["normal"]
+    });
+    const incognito = allWindows.find(window => window.id === windowId)?.incognito;
+    focusedWindowId = allWindows.find(window => window.focused)?.id ?? windowId;
+
+    for (const window of allWindows) {
+      const tabs = window.tabs.filter(tab => !tab.pinned);
+      if (dedupePinned && window.id !== windowId && window.incognito === incognito)
+        pinnedTabs.push(...window.tabs.filter(tab => tab.pinned));
+      if (window.id === windowId || window.incognito !== incognito || !tabs.length ||
+          WindowProps.hasWindowById(window.id))
+        continue;
+      windows.push({ index: tabs[0].index, tabs, windowId: window.id });
+    }
+  }
+
+  const tabPropsArray = await getTabPropsArray(
+    [...windows.flatMap(window => window.tabs), ...pinnedTabs], windowProps, prefs
+  );
+
+  for (const tabProps of tabPropsArray) {
+    tabProps.isFocusedWindow = tabProps.windowId === focusedWindowId;
+
+    // Tabs reopened by undo are only deduplicated when asked to.
+    tabProps.isRestored = isAutomatic && restoredTabIds.has(tabProps.id);
+  }
+
+  const windowTabPropsArray = tabPropsArray.filter(
+    tabProps => tabProps.windowId === windowId && !tabProps.isPinned
+  );
+  const pinnedTabPropsArray = tabPropsArray.filter(
+    tabProps => tabProps.windowId === windowId && tabProps.isPinned
+  );
+  const selectedTabPropsArray = tabPropsArray.filter(tabProps => tabProps.isPinned ?
+    dedupePinned : !selection || selection.has(tabProps.id));
+
+  let groups = [];
+  if (!selection && "tabGroups" in browser && "group" in browser.tabs) {
+    groups = await planTabGroups(
+      windowTabPropsArray, windowId, prefs.pref_tabs_group_by_host === "true"
+    );
+  }
+
+  // Fixed tabs are anchors: other tabs are sorted into the places between.
+  let sortSelection = selection;
+  if (windowTabPropsArray.some(tabProps => tabProps.isFixed)) {
+    sortSelection = new Set(windowTabPropsArray
+      .filter(tabProps => !tabProps.isFixed && (!selection || selection.has(tabProps.id)))
+      .map(tabProps => tabProps.id));
+  }
+
+  let order = null;
+  if (sort) {
+    const keepOpenerTrees = prefs.pref_tabs_sort_by_opener === "true";
+    order = sortSelection ?
+      sortTabsInPlace(windowTabPropsArray, sortSelection, comparator, keepOpenerTrees) :
+      sortTabs(windowTabPropsArray, comparator, keepOpenerTrees);
+  }
+
+  let pinned = null;
+  if (sortPinned && pinnedTabPropsArray.length) {
+    const pinnedSortSelection = new Set(pinnedTabPropsArray
+      .filter(tabProps => !tabProps.isFixed)
+      .map(tabProps => tabProps.id));
+    pinned = {
+      order: pinnedSortSelection.size < pinnedTabPropsArray.length ?
+        sortTabsInPlace(pinnedTabPropsArray, pinnedSortSelection, comparator, false) :
+        sortTabs(pinnedTabPropsArray, comparator, false),
+      tabs: pinnedTabs.filter(tab => tab.windowId === windowId)
+        .map(getPlanTab)
+    };
+  }
+
+  const closures = deduplicateTabs(
+    selectedTabPropsArray, windowId, deduplicate, prefs.pref_tabs_deduplicate_keep
+  );
+  const protectedTabs = await findProtectedTabs(
+    closures, windows.flatMap(window => window.tabs), prefs
+  );
+
+  const plan = {
+    closures: closures.filter(closure => !protectedTabs.has(closure.id)),
+    groups,
+    isAutomatic,
+    order,
+    pinned,
+    protected: closures.filter(closure => protectedTabs.has(closure.id))
+      .map(closure => ({ ...closure, reason: protectedTabs.get(closure.id) })),
+    windowId,
+    windows: windows.map(window => ({
+      index: window.index,
+      tabs: window.tabs.map(getPlanTab),
+      windowId: window.windowId
+    }))
+  };
+
+  // List the tabs of each group in their new order.
+  const groupKeys = new Map(
+    windowTabPropsArray.map(tabProps => [tabProps.id, tabProps.groupKey])
+  );
+  const groupedTabIds = plan.order ?? windowTabPropsArray.map(tabProps => tabProps.id);
+  for (const group of groups)
+    group.tabIds = groupedTabIds.filter(tabId => groupKeys.get(tabId) === group.key);
+
+  tabPropsArray.length = 0;
+  return plan;
+}
+
+
+/*
+ * Gets what a plan keeps of a tab.
+ *
+ * @param tab           tab
+ * @return              { cookie store ID, group ID, ID, title, URL }
+ */
+function getPlanTab(tab) {
+  "use strict";
+
+  return {
+    cookieStoreId: tab.cookieStoreId,
+    groupId: tab.groupId ?? -1,
+    id: tab.id,
+    title: tab.title ?? "",
+    url: tab.url ?? ""
+  };
+}
+
+
+/*
+ * Gets the properties of tabs used for sorting and deduplicating.
+ *
+ * @param tabs          tabs
+ * @param windowProps   window properties, or null if no window is processed
+ * @param prefs         preferences
+ * @return              array of tab properties
+ */
+async function getTabPropsArray(tabs, windowProps, prefs) {
+  "use strict";
+
+  await loadPublicSuffixList();
+
+  const {
+    containers,
+    dupePrefs,
+    exclusionRules,
+    sortPrefs
+  } = await getTabPropsContext(prefs);
+
+  return tabs.map(tab => new TabProps(
+    tab, windowProps, containers, sortPrefs, dupePrefs, exclusionRules
+  ));
+}
+
+
+/*
+ * Gets what is needed, besides tabs, to create tab properties.
+ *
+ * @param prefs         preferences
+ * @return              { container indexes by cookie store ID, or null,
+ *                      duplicate preferences, exclusion rules, sort
+ *                      preferences }
+ */
+async function getTabPropsContext(prefs) {
+  "use strict";
+
+  let containers = null;
+  let containerNames = new Map();
+  if ("contextualIdentities" in browser) {
+    try {
+      const containersArray = await browser.contextualIdentities.query({});
+      containerNames = new Map(
+        containersArray.map(c => [c.cookieStoreId, c.name])
+      );
+      if (prefs.pref_tabs_sort_by_container === "true") {
+        containers = new Map(
+          containersArray.map((c, i) => [c.cookieStoreId, i])
+        );
+      }
+    } catch (err) {}
+  }
+
+  const sortPrefs = {
+    newestFirst: prefs.pref_tabs_sort_newest_first === "true",
+    priorityRules: new PriorityRules(prefs.pref_tabs_sort_priority, containerNames),
+    queryRules: getQueryRules(prefs),
+    sortMode: SORT_MODES.get(prefs.pref_tabs_sort_by_parts),
+    sortByQueryString: prefs.pref_tabs_sort_by_query_string === "true",
+    sortTimeAfterHost: prefs.pref_tabs_sort_time_after_host === "true"
+  }
+  const dupePrefs = getDupePrefs(prefs);
+  const exclusionRules = new ExclusionRules(prefs.pref_tabs_exclusion_rules, containerNames);
+
+  return { containers, dupePrefs, exclusionRules, sortPrefs };
+}
+
+
+/*
+ * Finds the tabs of the last focused window that exclusion rules match.
+ *
+ * @param text          exclusion rules, as in preferences
+ * @return              { matched tabs: [{ isFixed, isKept, title, url }],
+ *                      number of rules, number of tabs in the window }
+ */
+async function testExclusionRules(text) {
+  "use strict";
+
+  const prefs = Object.assign({}, PREFS, { pref_tabs_exclusion_rules: text });
+  const { exclusionRules } = await getTabPropsContext(prefs);
+  const window = await browser.windows.getLastFocused({
+    populate: true,
+    windowTypes: ["normal"]
+  });
+
+  const matches = window.tabs
+    .map(tab => ({ ...exclusionRules.match(tab), title: tab.title ?? "", url: tab.url }))
+    .filter(match => match.isFixed || match.isKept);
+
+  return { matches, ruleCount: exclusionRules.size, tabCount: window.tabs.length };
+}
+
+
+/*
+ * Applies a plan: moves tabs into order, then removes unwanted tabs.
+ *
+ * @param plan          plan from planTabs()
+ * @param keptTabIds    IDs of tabs to keep, despite the plan
+ */
+async function applyPlan(plan, keptTabIds) {
+  "use strict";
+
+  const { order, windowId } = plan;
+  const kept = new Set(keptTabIds);
+
+  let isMoved = false;
+  if (order) {
+    const { index, tabs } = plan.windows[0];
+    isMoved = await moveTabs(tabs.map(tab => tab.id), order, index);
+  }
+
+  // Pinned tabs are moved on their own, so they stay before unpinned tabs.
+  let isPinnedMoved = false;
+  if (plan.pinned?.order) {
+    isPinnedMoved = await moveTabs(
+      plan.pinned.tabs.map(tab => tab.id), plan.pinned.order, 0
+    );
+  }
+
+  if (order && plan.groups.length || plan.groups.some(group => group.isChanged))
+    isMoved = await applyTabGroups(plan) || isMoved;
+
+  const closures = plan.closures.filter(closure => !kept.has(closure.id));
+  const lastRunWindows = [];
+
+  if (isPinnedMoved) {
+    lastRunWindows.push({
+      closedTabIds: [],
+      createdTabId: null,
+      index: 0,
+      tabs: plan.pinned.tabs,
+      windowId
+    });
+  }
+
+  for (const window of plan.windows) {
+    const { index, tabs } = window;
+    const closedTabIds = closures
+      .filter(closure => closure.windowId === window.windowId)
+      .map(closure => closure.id);
+    let createdTabId = null;
+
+    if (closedTabIds.length) {
+
+      // Create a new tab to remain after culling.
+      if (index === 0 && tabs.length === closedTabIds.length) {
+        const createdTab = await browser.tabs.create({
+          active: false,
+          windowId: window.windowId
+        }).catch((err) => null);
+        createdTabId = createdTab?.id ?? null;
+      }
+
+      await browser.tabs.remove(closedTabIds).catch((err) => Promise.resolve());
+    }
+
+    if (closedTabIds.length || isMoved && window.windowId === windowId)
+      lastRunWindows.push({ closedTabIds, createdTabId, index, tabs, windowId: window.windowId });
+  }
+
+  if (lastRunWindows.length)
+    await saveLastRun(windowId, lastRunWindows, plan.isAutomatic);
+
+  await saveRunSummary(plan, closures.length);
+}
+
+
+/*
+ * Moves tabs into a new order, moving as few tabs as possible. Each move is a
+ * call to the browser, so if most tabs move, all are moved in one call.
+ *
+ * @param tabIds        IDs of tabs, in tab strip order
+ * @param order         IDs of the same tabs, in their new order
+ * @param index         index of the first tab
+ * @return              true if the tabs were moved
+ */
+async function moveTabs(tabIds, order, index) {
+  "use strict";
+
+  try {
+    const moves = planMoves(tabIds, order);
+    if (isBulkMove(moves, tabIds)) {
+      await browser.tabs.move(order, { index });
+      return true;
+    }
+
+    for (const move of moves)
+      await browser.tabs.move(move.tabId, { index: index + move.index });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+
+/*
+ * Finds tabs that are protected from being closed, and why.
+ *
+ * Tabs playing audio or wanting attention are protected, as are tabs with
+ * unsaved form input if the extension may check pages.
+ *
+ * @param closures      [{ tab ID, reason, window ID }]
+ * @param tabs          tabs, including those of the closures
+ * @param prefs         preferences
+ * @return              map of tab IDs to reasons: "audible", "attention",
+ *                      or "unsaved"
+ */
+async function findProtectedTabs(closures, tabs, prefs) {
+  "use strict";
+
+  const protectedTabs = new Map();
+  if (!closures.length)
+    return protectedTabs;
+
+  const closingTabIds = new Set(closures.map(closure => closure.id));
+  const closingTabs = tabs.filter(tab => closingTabIds.has(tab.id));
+
+  for (const tab of closingTabs) {
+    if (tab.audible && prefs.pref_tabs_protect_audible === "true")
+      protectedTabs.set(tab.id, "audible");
+    else if (tab.attention && prefs.pref_tabs_protect_attention === "true")
+      protectedTabs.set(tab.id, "attention");
+  }
+
+  if (prefs.pref_tabs_protect_unsaved_forms !== "true" || !("scripting" in browser) ||
+      !await browser.permissions.contains({ origins: ["<all_urls>"] }))
+    return protectedTabs;
+
+  // Pages that can't be checked, such as blank tabs, have nothing unsaved.
+  await Promise.all(closingTabs
+    .filter(tab => !protectedTabs.has(tab.id) && !BLANK_TAB_URLS.has(tab.url))
+    .map(async tab => {
+      const results = await browser.scripting.executeScript({
+        func: hasUnsavedFormInput,
+        target: { allFrames: true, tabId: tab.id }
+      }).catch((err) => []);
+      if (results.some(injectionResult => injectionResult.result === true))
+        protectedTabs.set(tab.id, "unsaved");
+    }));
+
+  return protectedTabs;
+}
+
+
+/*
+ * Checks whether a page has form input that differs from its defaults.
+ *
+ * Runs in the page, so must not use anything outside itself.
+ *
+ * @return              true if a form field has been changed
+ */
+function hasUnsavedFormInput() {
+  "use strict";
+
+  const ignoredTypes = new Set(["button", "hidden", "image", "reset", "submit"]);
+
+  for (const element of document.querySelectorAll("input,select,textarea")) {
+    if (element.disabled || ignoredTypes.has(element.type))
+      continue;
+
+    if (element.type === "checkbox" || element.type === "radio") {
+      if (element.checked !== element.defaultChecked)
+        return true;
+    } else if (element.tagName === "SELECT") {
+      if ([...element.options].some(option => option.selected !== option.defaultSelected))
+        return true;
+    } else if (element.value !== element.defaultValue) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+
+/*
+ * Saves a summary of the last run of a window, for the popup.
+ *
+ * @param plan          plan that was applied
+ * @param closedCount   number of tabs closed
+ */
+function saveRunSummary(plan, closedCount) {
+  "use strict";
+
+  const tabs = new Map(
+    plan.windows.flatMap(window => window.tabs).map(tab => [tab.id, tab])
+  );
+  const protectedTabs = (plan.protected ?? []).map(closure => ({
+    reason: closure.reason,
+    title: tabs.get(closure.id)?.title ?? "",
+    url: tabs.get(closure.id)?.url ?? ""
+  }));
+
+  return browser.storage.session.set({
+    [`summary_${plan.windowId}`]: { closedCount, protectedTabs, time: Date.now() }
+  });
+}
+
+
+/*
+ * Works out which tab group each tab belongs to.
+ *
+ * Tabs in a group stay in it. Optionally, other tabs are grouped by site: a
+ * group named after the site is reused, or one is created for two or more tabs.
+ *
+ * @param tabPropsArray array of tab properties
+ * @param windowId      window ID
+ * @param groupByHost   group ungrouped tabs by site
+ * @return              [{ group ID or null, key, whether tabs join, title, colour }]
+ */
+async function planTabGroups(tabPropsArray, windowId, groupByHost) {
+  "use strict";
+
+  const groups = new Map();
+  const hostTabPropsArrays = new Map();
+
+  for (const tabProps of tabPropsArray) {
+    if (tabProps.groupId !== -1) {
+      tabProps.groupKey = `group:${tabProps.groupId}`;
+      if (!groups.has(tabProps.groupKey)) {
+        groups.set(tabProps.groupKey, {
+          groupId: tabProps.groupId,
+          isChanged: false,
+          key: tabProps.groupKey
+        });
+      }
+    } else if (groupByHost && !tabProps.isBlank && !tabProps.isFixed &&
+        tabProps.hostname !== "") {
+      const domain = tabProps.registrableDomain;
+      if (!hostTabPropsArrays.has(domain))
+        hostTabPropsArrays.set(domain, []);
+      hostTabPropsArrays.get(domain).push(tabProps);
+    }
+  }
+
+  if (!hostTabPropsArrays.size)
+    return [...groups.values()];
+
+  const existingGroups = await browser.tabGroups.query({ windowId }).catch((err) => []);
+  const titledGroupIds = new Map(existingGroups.map(group => [group.title, group.id]));
+
+  for (const [domain, hostTabPropsArray] of hostTabPropsArrays) {
+    const groupId = titledGroupIds.get(domain) ?? null;
+    let key = `group:${groupId}`;
+
+    if (groupId === null) {
+      if (hostTabPropsArray.length < 2)
+        continue;
+
+      key = `host:${domain}`;
+      groups.set(key, {
+        color: getTabGroupColor(domain),
+        groupId,
+        isChanged: true,
+        key,
+        title: domain
+      });
+    } else if (groups.has(key)) {
+      groups.get(key).isChanged = true;
+    } else {
+      groups.set(key, { groupId, isChanged: true, key });
+    }
+
+    for (const tabProps of hostTabPropsArray)
+      tabProps.groupKey = key;
+  }
+
+  return [...groups.values()];
+}
+
+
+/*
+ * Gets a stable colour for a tab group.
+ *
+ * @param title         group title
+ * @return              colour name
+ */
+function getTabGroupColor(title) {
+  "use strict";
+
+  let hash = 0;
+  for (const char of title)
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  return TAB_GROUP_COLORS[hash % TAB_GROUP_COLORS.length];
+}
+
+
+/*
+ * Puts tabs into their tab groups after moving, and creates new groups.
+ *
+ * Moving tabs can take them out of groups, or put them into other groups.
+ *
+ * @param plan          plan from planTabs()
+ * @return              whether tabs were added to groups
+ */
+async function applyTabGroups(plan) {
+  "use strict";
+
+  let isGrouped = false;
+
+  for (const group of plan.groups) {
+    if (!group.tabIds.length)
+      continue;
+
+    try {
+      if (group.groupId !== null) {
+        await browser.tabs.group({ groupId: group.groupId, tabIds: group.tabIds });
+      } else {
+        const groupId = await browser.tabs.group({
+          createProperties: { windowId: plan.windowId },
+          tabIds: group.tabIds
+        });
+        await browser.tabGroups.update(groupId, { color: group.color, title: group.title });
+      }
+      isGrouped ||= group.isChanged;
+    } catch (err) {}
+  }
+
+  // Take tabs that were not in a group back out of any group.
+  const groupedTabIds = new Set(plan.groups.flatMap(group => group.tabIds));
+  const ungroupedTabIds = plan.windows[0].tabs
+    .map(tab => tab.id)
+    .filter(tabId => !groupedTabIds.has(tabId));
+
+  if (ungroupedTabIds.length)
+    await browser.tabs.ungroup(ungroupedTabIds).catch((err) => Promise.resolve());
+
+  return isGrouped;
+}
+
+
+/*
+ * Loads the Public Suffix List, from a file chosen by the user or the bundle.
+ *
+ * @return              promise of the Public Suffix List, or null on failure
+ */
+function loadPublicSuffixList() {
+  "use strict";
+
+  return publicSuffixListLoading ??= (async () => {
+    try {
+      const { publicSuffixList: stored } =
+        await browser.storage.local.get("publicSuffixList");
+      const text = stored?.text ?? await fetch(
+        browser.runtime.getURL("public_suffix_list.dat")
+      ).then(response => response.text());
+
+      return publicSuffixList = new PublicSuffixList(text);
+    } catch (err) {
+
+      // Try again next time.
+      publicSuffixListLoading = null;
+      return null;
+    }
+  })();
+}
+
+
+/*
+ * Describes the Public Suffix List in use, for the options page.
+ *
+ * @return              { file name or null, time chosen or null, rule count }
+ */
+async function getPublicSuffixListInfo() {
+  "use strict";
+
+  const { publicSuffixList: stored } =
+    await browser.storage.local.get("publicSuffixList");
+  const list = await loadPublicSuffixList();
+
+  return {
+    name: stored?.name ?? null,
+    ruleCount: list?.ruleCount ?? 0,
+    time: stored?.time ?? null
+  };
+}
+
+
+/*
+ * Replaces the bundled Public Suffix List with one from a file.
+ *
+ * @param name          file name, or null to use the bundled list
+ * @param text          list text
+ * @return              number of rules, or 0 if the list has none
+ */
+async function setPublicSuffixList(name, text) {
+  "use strict";
+
+  if (name === null) {
+    await browser.storage.local.remove("publicSuffixList");
+  } else {
+    const list = new PublicSuffixList(text);
+    if (!list.ruleCount)
+      return 0;
+
+    await browser.storage.local.set({
+      publicSuffixList: { name, text, time: Date.now() }
+    });
+  }
+
+  publicSuffixList = null;
+  publicSuffixListLoading = null;
+  return (await loadPublicSuffixList())?.ruleCount ?? 0;
+}
+
+
+/*
+ * Gets which parts of a tab are ignored when finding duplicates.
+ *
+ * @param prefs         preferences
+ * @return              { ignore hash, protocol, query, title, "www." }
+ */
+function getDupePrefs(prefs) {
+  "use strict";
+
+  return {
+    ignoreHash: prefs.pref_tabs_deduplicate_ignore_hash === "true",
+    ignoreProtocol: prefs.pref_tabs_deduplicate_ignore_protocol === "true",
+    ignoreQueryString: prefs.pref_tabs_deduplicate_ignore_query_string === "true",
+    ignoreTitle: prefs.pref_tabs_deduplicate_ignore_title === "true",
+    ignoreWww: prefs.pref_tabs_deduplicate_ignore_www === "true"
+  };
+}
+
+
+/*
+ * Gets query parameter rules from preferences.
+ *
+ * @param prefs         preferences
+ * @return              query parameter rules
+ */
+function getQueryRules(prefs) {
+  "use strict";
+
+  const trackingParams = prefs.pref_url_strip_tracking_params === "true" ?
+    prefs.pref_url_tracking_params : "";
+  const siteParams = prefs.pref_url_site_params;
+  const source = trackingParams + "\u0000" + siteParams;
+
+  // Rules are only parsed again when the preferences change.
+  if (source !== queryRulesSource) {
+    queryRules = new QueryRules(trackingParams, siteParams);
+    queryRulesSource = source;
+  }
+  return queryRules;
+}
+
+
+/*
+ * Gets the comparator for the sort mode in preferences.
+ *
+ * @param prefs         preferences
+ * @return              comparator
+ */
+function getSortComparator(prefs) {
+  "use strict";
+
+  return getTabsComparator(
+    SORT_MODES.get(prefs.pref_tabs_sort_by_parts),
+    prefs[`pref_tabs_sort_reverse_${prefs.pref_tabs_sort_by_parts}`] === "true"
+  );
+}
+
+
+/*
+ * Gets the comparator for a sort mode.
+ *
+ * Tabs on the priority list come first either way; only the rest are reversed.
+ *
+ * @param sortMode      sort mode
+ * @param isReversed    sort in reverse order
+ * @return              comparator
+ */
+function getTabsComparator(sortMode, isReversed) {
+  "use strict";
+
+  let compareTabs = compareTabsOrder;
+  switch (sortMode) {
+    case 4:
+      compareTabs = compareTabsOrderAuto;
+      break;
+    case 5:
+    case 6:
+      compareTabs = compareTabsOrderTime;
+      break;
+  }
+
+  const sign = isReversed ? -1 : 1;
+  return (propsA, propsB) => (propsA.sortPriority - propsB.sortPriority) ||
+    sign * compareTabs(propsA, propsB);
+}
+
+
+/*
+ * Sorts tabs.
+ *
+ * If keeping opener trees, only tabs not opened from another tab are sorted.
+ * Each is followed by the tabs opened from it, depth first, in their order.
+ *
+ * @param tabPropsArray   array of tab properties, in tab strip order
+ * @param comparator      comparator, from getTabsComparator()
+ * @param keepOpenerTrees keep tabs after the tab they were opened from
+ * @return                sorted tab IDs, or null if already in order
+ */
+function sortTabs(tabPropsArray, comparator, keepOpenerTrees) {
+  "use strict";
+
+  const tabIds = tabPropsArray.map(tabProps => tabProps.id);
+  const children = keepOpenerTrees ? getOpenerChildren(tabPropsArray) : new Map();
+  const childIds = new Set(
+    [...children.values()].flat().map(tabProps => tabProps.id)
+  );
+
+  // Sort tabs within each tab group, then keep each group in one piece.
+  const units = [];
+  const groupUnits = new Map();
+  for (const tabProps of tabPropsArray) {
+    if (childIds.has(tabProps.id)) {
+      continue;
+    } else if (tabProps.groupKey === null) {
+      units.push([tabProps]);
+    } else if (groupUnits.has(tabProps.groupKey)) {
+      groupUnits.get(tabProps.groupKey).push(tabProps);
+    } else {
+      const unit = [tabProps];
+      groupUnits.set(tabProps.groupKey, unit);
+      units.push(unit);
+    }
+  }
+
+  // Groups are placed by their first tab.
+  for (const unit of groupUnits.values())
+    unit.sort(comparator);
+
+  const sortedTabIds = units
+    .sort((unitA, unitB) => comparator(unitA[0], unitB[0]))
+    .flat()
+    .flatMap(tabProps => getOpenerTree(tabProps, children))
+    .map(tabProps => tabProps.id);
+
+  if (sortedTabIds.every((tabId, i) => tabId === tabIds[i]))
+    return null;
+
+  return sortedTabIds;
+}
+
+
+/*
+ * Works out which tabs were opened from which other tabs.
+ *
+ * Tabs are only children of tabs in the same tab group. Links that would make
+ * a loop are ignored.
+ *
+ * @param tabPropsArray array of tab properties, in tab strip order
+ * @return              map of tab IDs to arrays of the properties of the tabs
+ *                      opened from them, in tab strip order
+ */
+function getOpenerChildren(tabPropsArray) {
+  "use strict";
+
+  const tabPropsById = new Map(tabPropsArray.map(tabProps => [tabProps.id, tabProps]));
+  const parentIds = new Map();
+  const children = new Map();
+
+  for (const tabProps of tabPropsArray) {
+    const opener = tabPropsById.get(tabProps.openerTabId);
+    if (!opener || opener.groupKey !== tabProps.groupKey)
+      continue;
+
+    let ancestorId = opener.id;
+    while (ancestorId !== undefined && ancestorId !== tabProps.id)
+      ancestorId = parentIds.get(ancestorId);
+    if (ancestorId === tabProps.id)
+      continue;
+
+    parentIds.set(tabProps.id, opener.id);
+    if (!children.has(opener.id))
+      children.set(opener.id, []);
+    children.get(opener.id).push(tabProps);
+  }
+
+  return children;
+}
+
+
+/*
+ * Lists a tab, then the tabs opened from it, depth first.
+ *
+ * @param tabProps      tab properties
+ * @param children      map from getOpenerChildren()
+ * @return              array of tab properties
+ */
+function getOpenerTree(tabProps, children) {
+  "use strict";
+
+  return [
+    tabProps,
+    ...(children.get(tabProps.id) ?? []).flatMap(child => getOpenerTree(child, children))
+  ];
+}
+
+
+/*
+ * Sorts some tabs into the places they take up. Other tabs stay in place.
+ *
+ * Tabs are only sorted among tabs of the same tab group, to keep groups whole.
+ * Tabs opened from other tabs being sorted can follow them, as in sortTabs().
+ *
+ * @param tabPropsArray   array of tab properties, in tab strip order
+ * @param selection       set of IDs of tabs to sort
+ * @param comparator      comparator, from getTabsComparator()
+ * @param keepOpenerTrees put tabs after the tabs they were opened from
+ * @return                tab IDs in their new order, or null if already in order
+ */
+function sortTabsInPlace(tabPropsArray, selection, comparator, keepOpenerTrees) {
+  "use strict";
+
+  const groupTabPropsArrays = new Map();
+
+  for (const tabProps of tabPropsArray) {
+    if (!selection.has(tabProps.id))
+      continue;
+    if (!groupTabPropsArrays.has(tabProps.groupId))
+      groupTabPropsArrays.set(tabProps.groupId, []);
+    groupTabPropsArrays.get(tabProps.groupId).push(tabProps);
+  }
+
+  for (const [groupId, groupTabPropsArray] of groupTabPropsArrays) {
+    const children = keepOpenerTrees ?
+      getOpenerChildren(groupTabPropsArray) : new Map();
+    const childIds = new Set(
+      [...children.values()].flat().map(tabProps => tabProps.id)
+    );
+
+    groupTabPropsArrays.set(groupId, groupTabPropsArray
+      .filter(tabProps => !childIds.has(tabProps.id))
+      .sort(comparator)
+      .flatMap(tabProps => getOpenerTree(tabProps, children)));
+  }
+
+  const tabIds = tabPropsArray.map(tabProps => tabProps.id);
+  const sortedTabIds = tabPropsArray.map(tabProps => selection.has(tabProps.id) ?
+    groupTabPropsArrays.get(tabProps.groupId).shift().id : tabProps.id);
+
+  if (sortedTabIds.every((tabId, i) => tabId === tabIds[i]))
+    return null;
+
+  return sortedTabIds;
+}
+
+
+/*
+ * Finds duplicate, and low-priority (or blank) tabs.
+ *
+ * Blank tabs are only culled from the window being processed.
+ *
+ * @param tabPropsArray array of tab properties
+ * @param windowId      ID of window being processed
+ * @param deduplicate   deduplicate tabs
+ * @param keep          which copy of a duplicate to keep, from KEEP_POLICIES
+ * @return              [{ tab ID, reason: "blank" or "duplicate", window ID }]
+ */
+function deduplicateTabs(tabPropsArray, windowId, deduplicate, keep) {
+  "use strict";
+
+  markDuplicates(tabPropsArray, keep);
+
+  // Filter duplicate and blank tabs.
+  return tabPropsArray.filter(tabProps =>
+    tabProps.status === "complete" && !tabProps.isRestored && !tabProps.isPinned &&
+      !tabProps.isKept && !exemptTabIds.has(tabProps.id) &&
+      (tabProps.isBlank && tabProps.windowId === windowId ||
+        deduplicate && tabProps.isDuplicate)
+  ).map(tabProps => ({
+    id: tabProps.id,
+    reason: tabProps.isBlank ? "blank" : "duplicate",
+    windowId: tabProps.windowId
+  }));
+}
+
+
+/*
+ * Marks every tab but one with the same duplicate key as a duplicate.
+ *
+ * The tab kept is the first by compareTabsKeep(), which orders all tabs, so
+ * it doesn't depend on the order tabs are visited in.
+ *
+ * @param tabPropsArray array of tab properties
+ * @param keep          which copy of a duplicate to keep, from KEEP_POLICIES
+ */
+function markDuplicates(tabPropsArray, keep) {
+  "use strict";
+
+  if (!KEEP_POLICIES.has(keep))
+    keep = PREFS_DEFAULT.pref_tabs_deduplicate_keep;
+
+  const keptTabProps = new Map();
+
+  for (const tabProps of tabPropsArray) {
+    const key = tabProps.dupeCriteria;
+    const otherTabProps = keptTabProps.get(key);
+    tabProps.isDuplicate = false;
+
+    if (!otherTabProps) {
+      keptTabProps.set(key, tabProps);
+    } else if (compareTabsKeep(tabProps, otherTabProps, keep) < 0) {
+      otherTabProps.isDuplicate = true;
+      keptTabProps.set(key, tabProps);
+    } else {
+      tabProps.isDuplicate = true;
+    }
+  }
+}
+
+
+/*
+ * Opens a preview of a run of the browser action.
+ *
+ * @param windowId      ID of window to preview
+ */
+function openPreview(windowId) {
+  "use strict";
+
+  return browser.windows.create({
+    height: 600,
+    type: "popup",
+    url: browser.runtime.getURL(`preview.html?windowId=${windowId}`),
+    width: 800
+  });
+}
+
+
+/*
+ * Plans a run of the browser action, for previewing.
+ *
+ * @param windowId      window ID
+ * @return              plan of the run, or null
+ */
+async function planPreview(windowId) {
+  "use strict";
+
+  if (WindowProps.hasWindowById(windowId))
+    return null;
+
+  const prefs = Object.assign({}, PREFS);
+  const sort = prefs.pref_tabs_sort_on_browser_action === "true" &&
+    prefs.pref_tabs_sort_by_parts !== "none";
+  const deduplicate = prefs.pref_tabs_deduplicate_on_browser_action === "true";
+
+  const windowProps = new WindowProps(windowId);
+  const tabIds = await getSelectedTabIds(windowId);
+  const plan = await planTabs(windowProps, sort, deduplicate, prefs, false, tabIds);
+  windowProps.clear();
+  return plan;
+}
+
+
+/*
+ * Applies a previewed plan, skipping tabs that have since been closed.
+ *
+ * @param plan          plan from planPreview()
+ * @param keptTabIds    IDs of tabs unchecked in the preview
+ * @return              false if the window was already being processed
+ */
+async function applyPreviewPlan(plan, keptTabIds) {
+  "use strict";
+
+  const windowId = plan.windowId;
+  if (WindowProps.hasWindowById(windowId))
+    return reportDropped(windowId, "apply_preview");
+
+  const windowProps = new WindowProps(windowId);
+  const windows = [];
+  const tabIds = new Set();
+
+  for (const window of plan.windows) {
+    const unpinnedTabs = await browser.tabs.query({
+      pinned: false,
+      windowId: window.windowId
+    });
+    if (!unpinnedTabs.length)
+      continue;
+
+    unpinnedTabs.forEach(tab => tabIds.add(tab.id));
+    windows.push({
+      index: unpinnedTabs[0].index,
+      tabs: unpinnedTabs,
+      windowId: window.windowId
+    });
+  }
+
+  if (plan.pinned) {
+    const pinnedTabs = await browser.tabs.query({ pinned: true, windowId });
+    const pinnedTabIds = new Set(pinnedTabs.map(tab => tab.id));
+    plan.pinned.order &&= plan.pinned.order.filter(tabId => pinnedTabIds.has(tabId));
+    plan.pinned.tabs = pinnedTabs.map(getPlanTab);
+  }
+
+  // Tabs opened since the preview are not sorted.
+  if (windows[0]?.windowId === windowId) {
+    plan.closures = plan.closures.filter(closure => tabIds.has(closure.id));
+    plan.order &&= plan.order.filter(tabId => tabIds.has(tabId));
+    plan.windows = windows;
+    await applyPlan(plan, keptTabIds);
+  }
+  windowProps.clear();
+}
+
+
+/*
+ * Reports the duplicate and blank tabs of a window, for the popup.
+ *
+ * Tabs are grouped by URL. The tabs of a group that a run would close are
+ * marked as closing.
+ *
+ * @param windowId      window ID
+ * @return              { groups: [{ isBlank, tabs: [{ id, isClosing, title,
+ *                      url }] }], windowId }, or null if the window is busy
+ */
+async function getDuplicateReport(windowId) {
+  "use strict";
+
+  if (WindowProps.hasWindowById(windowId))
+    return null;
+
+  const prefs = Object.assign({}, PREFS);
+  const windowProps = new WindowProps(windowId);
+  const tabs = await browser.tabs.query(
+    prefs.pref_tabs_deduplicate_pinned === "true" ? { windowId } : { pinned: false, windowId }
+  );
+  const tabPropsArray = await getTabPropsArray(tabs, windowProps, prefs);
+  const closingTabIds = new Set(
+    deduplicateTabs(tabPropsArray, windowId, true, prefs.pref_tabs_deduplicate_keep)
+      .map(closure => closure.id)
+  );
+
+  // Group tabs by duplicate key, or by URL if blank.
+  const groups = new Map();
+  tabPropsArray.forEach((tabProps, index) => {
+    const tab = tabs[index];
+    const key = tabProps.isBlank ? tab.url : tabProps.dupeCriteria;
+
+    let group = groups.get(key);
+    if (!group)
+      groups.set(key, group = { isBlank: tabProps.isBlank, tabs: [] });
+
+    group.tabs.push({
+      id: tab.id,
+      isClosing: closingTabIds.has(tab.id),
+      title: tab.title ?? "",
+      url: tab.url
+    });
+  });
+
+  windowProps.clear();
+  return {
+    groups: [...groups.values()].filter(group =>
+      group.tabs.some(tab => tab.isClosing)),
+    windowId
+  };
+}
+
+
+/*
+ * Closes unpinned tabs of a window. The run can be undone.
+ *
+ * @param windowId      window ID
+ * @param tabIds        IDs of tabs to close
+ * @return              false if the window was already being processed
+ */
+async function closeTabs(windowId, tabIds) {
+  "use strict";
+
+  if (WindowProps.hasWindowById(windowId))
+    return reportDropped(windowId, "close_tabs");
+
+  const windowProps = new WindowProps(windowId);
+  const closingTabIds = new Set(tabIds);
+  const unpinnedTabs = await browser.tabs.query({ pinned: false, windowId });
+
+  const closures = unpinnedTabs.filter(tab => closingTabIds.has(tab.id))
+    .map(tab => ({
+      id: tab.id,
+      reason: BLANK_TAB_URLS.has(tab.url) ? "blank" : "duplicate",
+      windowId
+    }));
+
+  if (closures.length) {
+    await applyPlan({
+      closures,
+      groups: [],
+      order: null,
+      windowId,
+      windows: [{ index: unpinnedTabs[0].index, tabs: unpinnedTabs, windowId }]
+    }, []);
+  }
+
+  windowProps.clear();
+}
+
+
+/*
+ * Sorts a window once by a sort mode, whatever the preferences say.
+ *
+ * If several tabs are selected, only they are sorted.
+ *
+ * @param windowId      window ID
+ * @param sortMode      sort mode name, from SORT_MODES
+ */
+async function sortTabsByMode(windowId, sortMode) {
+  "use strict";
+
+  if (!SORT_MODES.get(sortMode))
+    return;
+
+  const prefs = Object.assign({}, PREFS, { pref_tabs_sort_by_parts: sortMode });
+  const tabIds = await getSelectedTabIds(windowId);
+  return processTabs(windowId, true, false, prefs, false, tabIds);
+}
+
+
+/*
+ * Saves the state of windows before a run, for undoing the run.
+ *
+ * @param windowId      ID of window the run was started from
+ * @param windows       [{
+ *                        IDs of tabs removed by the run,
+ *                        ID of tab created by the run, or null,
+ *                        index of first unpinned tab,
+ *                        unpinned tabs before the run, in tab strip order,
+ *                        window ID
+ *                      }]
+ * @param isAutomatic   run was triggered by a tab update or a schedule
+ */
+async function saveLastRun(windowId, windows, isAutomatic) {
+  "use strict";
+
+  const key = `undo_${windowId}`;
+
+  // Automatic runs that only moved tabs don't replace a run that closed tabs,
+  // so those tabs can still be reopened. Undoing it restores the order too.
+  if (isAutomatic && windows.every(window => !window.closedTabIds.length)) {
+    const { [key]: lastRun } = await browser.storage.session.get(key);
+    if (lastRun?.some(window => window.tabs.some(tab => tab.isClosed)))
+      return;
+  }
+
+  const lastRun = windows.map(window => {
+    const closed = new Set(window.closedTabIds);
+    return {
+      createdTabId: window.createdTabId,
+      index: window.index,
+      tabs: window.tabs.map(tab => ({
+        cookieStoreId: tab.cookieStoreId,
+        groupId: tab.groupId ?? -1,
+        id: tab.id,
+        isClosed: closed.has(tab.id),
+        url: tab.url
+      })),
+      windowId: window.windowId
+    };
+  });
+
+  return browser.storage.session.set({ [key]: lastRun });
+}
+
+
+/*
+ * Undoes the last run started from a window.
+ *
+ * Reopens removed tabs in their containers, and restores the tab order.
+ *
+ * @param windowId      window ID
+ */
+async function undoLastRun(windowId) {
+  "use strict";
+
+  const key = `undo_${windowId}`;
+  const { [key]: lastRun } = await browser.storage.session.get(key);
+  if (!lastRun)
+    return;
+  if (WindowProps.hasWindowById(windowId))
+    return reportDropped(windowId, "undo_last_run");
+
+  await browser.storage.session.remove(key);
+
+  for (const window of lastRun)
+    await undoWindow(window, windowId);
+}
+
+
+/*
+ * Restores the state of a window before a run.
+ *
+ * @param window        saved state of the window
+ * @param windowId      ID of window to use if the saved window was closed
+ */
+async function undoWindow(window, windowId) {
+  "use strict";
+
+  const windowTabs = await browser.tabs.query({ windowId: window.windowId });
+  const windowTabIds = new Set(windowTabs.map(tab => tab.id));
+  const hasContainers = "contextualIdentities" in browser;
+  const tabIds = [];
+  const groupTabIds = new Map();
+
+  if (!windowTabs.length)
+    window.windowId = windowId;
+
+  for (const tab of window.tabs) {
+    if (!tab.isClosed) {
+      if (windowTabIds.has(tab.id)) {
+        tabIds.push(tab.id);
+        addGroupTabId(groupTabIds, tab.groupId, tab.id);
+      }
+      continue;
+    }
+
+    // Blank tabs are reopened as new tabs. Privileged URLs can't be opened.
+    const createProperties = {
+      active: false,
+      url: BLANK_TAB_URLS.has(tab.url) ? undefined : tab.url,
+      windowId: window.windowId
+    };
+    if (hasContainers)
+      createProperties.cookieStoreId = tab.cookieStoreId;
+
+    try {
+      const restoredTab = await restoreClosedTab(tab, window.windowId) ??
+        await browser.tabs.create(createProperties);
+      setTabRestored(restoredTab.id, true);
+      tabIds.push(restoredTab.id);
+      addGroupTabId(groupTabIds, tab.groupId, restoredTab.id);
+    } catch (err) {}
+  }
+
+  if (windowTabs.length) {
+    await browser.tabs.move(tabIds, { index: window.index })
+      .catch((err) => Promise.resolve());
+  }
+
+  // Put tabs back into their tab groups, if the groups still exist.
+  for (const [groupId, groupedTabIds] of groupTabIds) {
+    if (groupId === -1)
+      await browser.tabs.ungroup(groupedTabIds).catch((err) => null);
+    else
+      await browser.tabs.group({ groupId, tabIds: groupedTabIds }).catch((err) => null);
+  }
+
+  // Remove the tab created to remain after culling.
+  if (window.createdTabId !== null && windowTabIds.has(window.createdTabId))
+    await browser.tabs.remove(window.createdTabId).catch((err) => null);
+}
+
+
+/*
+ * Reopens a closed tab from session history, so its back and forward history
+ * comes back too.
+ *
+ * @param tab           saved tab
+ * @param windowId      ID of the window it was closed in
+ * @return              reopened tab, or null if not in session history
+ */
+async function restoreClosedTab(tab, windowId) {
+  "use strict";
+
+  if (!("sessions" in browser))
+    return null;
+
+  const sessions = await browser.sessions.getRecentlyClosed().catch((err) => []);
+  const session = sessions.find(session =>
+    session.tab?.url === tab.url && session.tab.windowId === windowId);
+  if (!session)
+    return null;
+
+  const restored = await browser.sessions.restore(session.tab.sessionId)
+    .catch((err) => null);
+  return restored?.tab ?? null;
+}
+
+
+/*
+ * Adds a tab ID to the list of tabs of a tab group, if groups are supported.
+ *
+ * @param groupTabIds   map of group IDs to tab IDs
+ * @param groupId       group ID, or -1 for no group
+ * @param tabId         tab ID
+ */
+function addGroupTabId(groupTabIds, groupId, tabId) {
+  "use strict";
+
+  if (groupId === undefined || !("group" in browser.tabs))
+    return;
+
+  if (!groupTabIds.has(groupId))
+    groupTabIds.set(groupId, []);
+  groupTabIds.get(groupId).push(tabId);
+}
+
+
+/*
+ * Moves each group of tabs from the same site or container to its own window.
+ *
+ * Groups smaller than the minimum size stay, as does the active tab's group.
+ * Tabs fixed by exclusion rules stay too.
+ * If several tabs are selected, only they are moved.
+ *
+ * @param windowId      window ID
+ */
+async function splitWindow(windowId) {
+  "use strict";
+
+  if (WindowProps.hasWindowById(windowId))
+    return reportDropped(windowId, "split_window");
+
+  const prefs = Object.assign({}, PREFS);
+  const byContainer = prefs.pref_windows_split_by === "container";
+  const minGroupSize = Math.max(1, parseInt(prefs.pref_windows_split_min_group_size, 10) || 1);
+
+  const windowProps = new WindowProps(windowId);
+  const window = await browser.windows.get(windowId);
+  const unpinnedTabs = await browser.tabs.query({ pinned: false, windowId });
+  const selection = new Set(await getSelectedTabIds(windowId));
+  const tabPropsArray = await getTabPropsArray(
+    selection.size ? unpinnedTabs.filter(tab => selection.has(tab.id)) : unpinnedTabs,
+    windowProps, prefs
+  );
+
+  // Group tabs as they are grouped when sorting: by container, then site.
+  const groups = new Map();
+  for (const tabProps of tabPropsArray) {
+    if (tabProps.isFixed || !byContainer && tabProps.hostname === "")
+      continue;
+
+    const key = byContainer ? tabProps.cookieStoreId :
+      [tabProps.containerIndex, tabProps.registrableDomain].join("\u0010");
+    if (!groups.has(key))
+      groups.set(key, []);
+    groups.get(key).push(tabProps);
+  }
+
+  for (const group of groups.values()) {
+    if (group.length < minGroupSize || group.some(tabProps => tabProps.isActive))
+      continue;
+
+    const [firstTabId, ...tabIds] = group.map(tabProps => tabProps.id);
+    try {
+      const newWindow = await browser.windows.create({
+        focused: false,
+        incognito: window.incognito,
+        tabId: firstTabId
+      });
+      if (tabIds.length)
+        await browser.tabs.move(tabIds, { index: -1, windowId: newWindow.id });
+    } catch (err) {}
+  }
+
+  tabPropsArray.length = 0;
+  windowProps.clear();
+  return browser.windows.update(windowId, { focused: true });
+}
+
+
+/*
+ * Moves the tabs of all other windows into a window, then sorts it.
+ *
+ * Only windows of the same privacy are merged, and tabs fixed by exclusion
+ * rules stay behind. If several tabs are selected, only they and the tabs
+ * moved in are sorted. Other tabs keep their places.
+ *
+ * @param windowId      window ID
+ */
+async function mergeWindows(windowId) {
+  "use strict";
+
+  if (WindowProps.hasWindowById(windowId))
+    return reportDropped(windowId, "merge_windows");
+
+  const allWindows = await browser.windows.getAll({
+    populate: true,
+    windowTypes: ["normal"]
+  });
+  const window = allWindows.find(window => window.id === windowId);
+  if (!window)
+    return;
+
+  const prefs = Object.assign({}, PREFS);
+  const { exclusionRules } = await getTabPropsContext(prefs);
+
+  // Selected before tabs are moved in, which changes the selection.
+  const selectedTabIds = await getSelectedTabIds(windowId);
+
+  // Fixed tabs stay in their windows.
+  const otherTabs = allWindows
+    .filter(otherWindow => otherWindow.id !== windowId &&
+      otherWindow.incognito === window.incognito)
+    .flatMap(otherWindow => otherWindow.tabs)
+    .filter(tab => !exclusionRules.match(tab).isFixed);
+
+  // Pinned tabs stay before unpinned tabs.
+  const pinnedTabIds = otherTabs.filter(tab => tab.pinned).map(tab => tab.id);
+  const unpinnedTabIds = otherTabs.filter(tab => !tab.pinned).map(tab => tab.id);
+  const pinnedCount = window.tabs.filter(tab => tab.pinned).length;
+
+  if (pinnedTabIds.length) {
+    await browser.tabs.move(pinnedTabIds, { index: pinnedCount, windowId })
+      .catch((err) => Promise.resolve());
+  }
+  if (unpinnedTabIds.length) {
+    await browser.tabs.move(unpinnedTabIds, { index: -1, windowId })
+      .catch((err) => Promise.resolve());
+  }
+
+  const sort = prefs.pref_tabs_sort_by_parts !== "none";
+  const deduplicate = prefs.pref_tabs_deduplicate_on_browser_action === "true";
+  const tabIds = selectedTabIds && [...selectedTabIds, ...unpinnedTabIds];
+
+  return processTabs(windowId, sort, deduplicate, prefs, false, tabIds);
+}
+
+
+/*
+ * Gets the times tabs restored with the browser session were opened.
+ *
+ * Only some browsers keep values with tabs across sessions.
+ */
+async function loadTabOpenedTimes() {
+  "use strict";
+
+  if (!("getTabValue" in (browser.sessions ?? {})))
+    return;
+
+  const tabs = await browser.tabs.query({});
+  for (const tab of tabs) {
+    if (tabOpenedTimes.has(tab.id))
+      continue;
+
+    const time = await browser.sessions.getTabValue(tab.id, "openedTime")
+      .catch((err) => undefined);
+    if (typeof time === "number")
+      tabOpenedTimes.set(tab.id, time);
+  }
+
+  return saveTabOpenedTimes();
+}
+
+
+/*
+ * Records when a tab was opened.
+ *
+ * @param tabId         tab ID
+ * @param time          time opened, in milliseconds since the epoch
+ */
+function setTabOpenedTime(tabId, time) {
+  "use strict";
+
+  tabOpenedTimes.set(tabId, time);
+
+  if ("setTabValue" in (browser.sessions ?? {})) {
+    browser.sessions.setTabValue(tabId, "openedTime", time)
+      .catch((err) => Promise.resolve());
+  }
+
+  return saveTabOpenedTimes();
+}
+
+
+/*
+ * Saves the times tabs were opened to "session" storage.
+ */
+function saveTabOpenedTimes() {
+  "use strict";
+
+  return browser.storage.session.set({
+    tabOpenedTimes: Object.fromEntries(tabOpenedTimes)
+  });
+}
+
+
+/*
+ * Keeps a tab from ever being deduplicated, or stops keeping it.
+ *
+ * @param tabId         tab ID
+ * @param isExempt      keep the tab
+ */
+function setTabExempt(tabId, isExempt) {
+  "use strict";
+
+  if (isExempt)
+    exemptTabIds.add(tabId);
+  else
+    exemptTabIds.delete(tabId);
+
+  browser.tabs.get(tabId).then(tab => {
+    indexTab(tab);
+    updateBadge();
+  }, (err) => {});
+
+  return browser.storage.session.set({ exemptTabIds: [...exemptTabIds] });
+}
+
+
+/*
+ * Marks a tab as reopened by undo, or not. Kept in "session" storage, so
+ * the tab isn't closed again once the background script restarts.
+ *
+ * @param tabId         tab ID
+ * @param isRestored    reopened by undo
+ */
+function setTabRestored(tabId, isRestored) {
+  "use strict";
+
+  if (isRestored)
+    restoredTabIds.add(tabId);
+  else
+    restoredTabIds.delete(tabId);
+
+  return browser.storage.session.set({ restoredTabIds: [...restoredTabIds] });
+}
+
+
+/*
+ * Closes other tabs that are duplicates of a tab.
+ *
+ * Other windows are included if deduplicating across all windows.
+ *
+ * @param tab           tab
+ */
+async function closeDuplicatesOfTab(tab) {
+  "use strict";
+
+  const prefs = Object.assign({}, PREFS);
+  const allWindows = prefs.pref_tabs_deduplicate_all_windows === "true";
+
+  return closeMatchingTabs(tab, allWindows, prefs, "duplicate",
+    (tabProps, clickedTabProps) => tabProps.dupeCriteria === clickedTabProps.dupeCriteria);
+}
+
+
+/*
+ * Closes other tabs from the same site as a tab.
+ *
+ * @param tab           tab
+ */
+async function closeSiteTabs(tab) {
+  "use strict";
+
+  const prefs = Object.assign({}, PREFS);
+
+  return closeMatchingTabs(tab, false, prefs, "site", isSameSite);
+}
+
+
+/*
+ * Closes other unpinned tabs that match a tab. The run can be undone.
+ *
+ * If several tabs are selected, only they are closed.
+ *
+ * @param tab           tab
+ * @param allWindows    include other windows of the same privacy
+ * @param prefs         preferences
+ * @param reason        reason for closing: "duplicate" or "site"
+ * @param matches       function(tab properties, clicked tab properties)
+ *                      returning true to close the tab
+ */
+async function closeMatchingTabs(tab, allWindows, prefs, reason, matches) {
+  "use strict";
+
+  const windowId = tab.windowId;
+  if (WindowProps.hasWindowById(windowId))
+    return reportDropped(windowId,
+      reason === "site" ? "close_site_tabs" : "close_duplicates_of_tab");
+
+  const windowProps = new WindowProps(windowId);
+  const selection = new Set(await getSelectedTabIds(windowId));
+  allWindows &&= !selection.size;
+
+  const windows = (await browser.windows.getAll({
+    populate: true,
+    windowTypes: ["normal"]
+  })).filter(window => window.id === windowId ||
+    allWindows && window.incognito === tab.incognito && !WindowProps.hasWindowById(window.id));
+
+  // The window of the tab comes first.
+  windows.sort((windowA, windowB) => (windowB.id === windowId) - (windowA.id === windowId));
+
+  const planWindows = windows.map(window => {
+    const tabs = window.tabs.filter(windowTab => !windowTab.pinned);
+    return { index: tabs[0]?.index ?? 0, tabs, windowId: window.id };
+  }).filter(window => window.tabs.length);
+
+  const [clickedTabProps, ...tabPropsArray] = await getTabPropsArray(
+    [tab, ...planWindows.flatMap(window => window.tabs)], windowProps, prefs
+  );
+
+  const closures = tabPropsArray.filter(tabProps =>
+    tabProps.id !== tab.id && !tabProps.isKept && !exemptTabIds.has(tabProps.id) &&
+      (!selection.size || selection.has(tabProps.id)) &&
+      matches(tabProps, clickedTabProps)
+  ).map(tabProps => ({
+    id: tabProps.id,
+    reason,
+    windowId: tabProps.windowId
+  }));
+
+  if (closures.length && planWindows[0]?.windowId === windowId) {
+    await applyPlan({
+      closures,
+      groups: [],
+      order: null,
+      windowId,
+      windows: planWindows
+    }, []);
+  }
+
+  tabPropsArray.length = 0;
+  windowProps.clear();
+}
+
+
+/*
+ * Sorts the selected tabs of a window into the places they take up.
+ *
+ * @param windowId      window ID
+ */
+async function sortSelectedTabs(windowId) {
+  "use strict";
+
+  const prefs = Object.assign({}, PREFS);
+  const tabIds = await getSelectedTabIds(windowId);
+
+  if (!tabIds)
+    return;
+
+  // Sorting is asked for, so use the recommended mode if sorting is off.
+  if (prefs.pref_tabs_sort_by_parts === "none")
+    prefs.pref_tabs_sort_by_parts = "host_title_path";
+
+  return processTabs(windowId, true, false, prefs, false, tabIds);
+}
+
+
+/*
+ * Gets the IDs of the selected unpinned tabs of a window, if there are several.
+ *
+ * @param windowId      window ID
+ * @return              tab IDs, or undefined if fewer than two are selected
+ */
+async function getSelectedTabIds(windowId) {
+  "use strict";
+
+  const selectedTabs = await browser.tabs.query({
+    highlighted: true,
+    pinned: false,
+    windowId
+  });
+
+  if (selectedTabs.length < 2)
+    return undefined;
+
+  return selectedTabs.map(tab => tab.id);
+}
+
+
+/*
+ * Moves tabs from the same site as a tab to a new window.
+ *
+ * If several tabs are selected, only they are moved.
+ *
+ * @param tab           tab
+ */
+async function moveSiteTabsToWindow(tab) {
+  "use strict";
+
+  const windowId = tab.windowId;
+  if (WindowProps.hasWindowById(windowId))
+    return reportDropped(windowId, "move_site_tabs_to_window");
+
+  const prefs = Object.assign({}, PREFS);
+  const windowProps = new WindowProps(windowId);
+  const windowTabs = await browser.tabs.query({ windowId });
+  const unpinnedTabs = windowTabs.filter(windowTab => !windowTab.pinned);
+
+  const [clickedTabProps, ...tabPropsArray] = await getTabPropsArray(
+    [tab, ...unpinnedTabs], windowProps, prefs
+  );
+  const selection = new Set(await getSelectedTabIds(windowId));
+  const tabIds = tabPropsArray
+    .filter(tabProps => isSameSite(tabProps, clickedTabProps) && !tabProps.isFixed &&
+      (!selection.size || selection.has(tabProps.id)))
+    .map(tabProps => tabProps.id);
+
+  // Leave the window open.
+  if (tabIds.length && tabIds.length < windowTabs.length) {
+    try {
+      const [firstTabId, ...otherTabIds] = tabIds;
+      const newWindow = await browser.windows.create({
+        incognito: tab.incognito,
+        tabId: firstTabId
+      });
+      if (otherTabIds.length)
+        await browser.tabs.move(otherTabIds, { index: -1, windowId: newWindow.id });
+    } catch (err) {}
+  }
+
+  tabPropsArray.length = 0;
+  windowProps.clear();
+}
+
+
+/*
+ * Checks whether two tabs are from the same site, in the same container if
+ * sorting by container.
+ *
+ * @param propsA        first tab properties
+ * @param propsB        second tab properties
+ * @return              true if the tabs are from the same site
+ */
+function isSameSite(propsA, propsB) {
+  "use strict";
+
+  return propsA.hostname !== "" &&
+    propsA.containerIndex === propsB.containerIndex &&
+    propsA.registrableDomain === propsB.registrableDomain;
+}
+
+
+/*
+ * Compares tabs to determine order.
+ *
+ * @param propsA        first tab properties
+ * @param propsB        second tab properties
+ * @return              numeric result
+ */
+function compareTabsOrder(propsA, propsB) {
+  "use strict";
+
+  return propsA.sortCriteria.localeCompare(propsB.sortCriteria);
+}
+
+
+/*
+ * Compares tabs to determine order, then by time.
+ *
+ * @param propsA        first tab properties
+ * @param propsB        second tab properties
+ * @return              numeric result
+ */
+function compareTabsOrderTime(propsA, propsB) {
+  "use strict";
+
+  return compareTabsOrder(propsA, propsB) ||
+    (propsA.sortTime - propsB.sortTime) ||
+    (propsA.sortId - propsB.sortId);
+}
+
+
+/*
+ * Compares tabs to heuristically determine order.
+ *
+ * @param propsA        first tab properties
  * @param propsB        second tab properties
  * @return              numeric result
  */
@@ -470,25 +3453,47 @@ function compareTabsOrderAuto(propsA, propsB) {
 
 
 /*
- * Compares tabs to determine similarity.
+ * Compares duplicate tabs to choose which to keep.
+ *
+ * Pinned tabs come first, then tabs that are never closed, then tabs in the
+ * focused window, then active tabs, then tabs by the keep policy. Ties go to
+ * the leftmost tab.
  *
  * @param propsA        first tab properties
  * @param propsB        second tab properties
- * @return              numeric result
+ * @param keep          which copy of a duplicate to keep, from KEEP_POLICIES
+ * @return              negative if the first tab should be kept
  */
-function compareTabsSimilarity(propsA, propsB) {
+function compareTabsKeep(propsA, propsB, keep) {
   "use strict";
 
-  const result = propsA.dupeCriteria.localeCompare(propsB.dupeCriteria);
+  const isKeptA = propsA.isKept || exemptTabIds.has(propsA.id);
+  const isKeptB = propsB.isKept || exemptTabIds.has(propsB.id);
+
+  let result = (propsB.isPinned - propsA.isPinned) ||
+    (isKeptB - isKeptA) ||
+    (propsB.isFocusedWindow - propsA.isFocusedWindow) ||
+    (propsB.isActive - propsA.isActive);
+  if (result)
+    return result;
 
-  if (!result) {
-    if (propsA.isActive)
-      propsB.isDuplicate = true;
-    else if (propsB.isActive || propsA.index < propsB.index)
-      propsA.isDuplicate = true;
+  switch (keep) {
+    case "recent":
+      result = propsB.lastAccessed - propsA.lastAccessed;
+      break;
+    case "oldest":
+      result = (propsA.openedTime - propsB.openedTime) || (propsA.id - propsB.id);
+      break;
+    case "loaded":
+      result = (propsA.isDiscarded - propsB.isDiscarded) ||
+        (propsB.lastAccessed - propsA.lastAccessed);
+      break;
+    case "rightmost":
+      result = (propsB.windowId - propsA.windowId) || (propsB.index - propsA.index);
+      break;
   }
 
-  return result;
+  return result || (propsA.windowId - propsB.windowId) || (propsA.index - propsB.index);
 }
 
 
@@ -0,0 +1,96 @@
+/*
+ * @file                Diagnostics script.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+// Messages naming the actions in the log.
+const ACTION_LABELS = new Map([
+  ["apply_preview", "diagnostics_ui_action_apply_preview"],
+  ["close_duplicates_of_tab", "menu_close_duplicates_of_tab_label"],
+  ["close_site_tabs", "menu_close_site_tabs_label"],
+  ["close_tabs", "diagnostics_ui_action_close_tabs"],
+  ["deduplicate", "browser_action_deduplicate_label"],
+  ["merge_windows", "command_merge_windows_label"],
+  ["move_site_tabs_to_window", "menu_move_site_tabs_to_window_label"],
+  ["sort", "browser_action_sort_label"],
+  ["sort_deduplicate", "browser_action_sort_deduplicate_label"],
+  ["split_window", "command_split_window_label"],
+  ["undo_last_run", "command_undo_last_run_label"]
+]);
+
+
+/*
+ * Sets the user interface for the diagnostics page.
+ */
+async function setInterface() {
+  setLabelText();
+
+  const { diagnostics } = await browser.storage.session.get("diagnostics");
+  setEntries(diagnostics ?? []);
+}
+
+
+/*
+ * Sets the label text for the diagnostics page.
+ */
+function setLabelText() {
+  const labelNodes = document.querySelectorAll("legend,span");
+
+  for (const labelNode of labelNodes) {
+    if (labelNode.id !== "")
+      labelNode.innerText = browser.i18n.getMessage(labelNode.id);
+  }
+
+  document.getElementById("clear").innerText =
+    browser.i18n.getMessage("diagnostics_ui_clear");
+}
+
+
+/*
+ * Lists the runs that waited or were dropped, newest first.
+ *
+ * @param entries       [{ action, kind, time, window ID }]
+ */
+function setEntries(entries) {
+  const table = document.getElementById("entries");
+  table.replaceChildren();
+
+  for (const entry of [...entries].reverse()) {
+    const row = table.insertRow();
+
+    row.insertCell().innerText = new Date(entry.time).toLocaleTimeString();
+
+    row.insertCell().innerText =
+      browser.i18n.getMessage("diagnostics_ui_window", [entry.windowId]);
+
+    row.insertCell().innerText =
+      browser.i18n.getMessage(ACTION_LABELS.get(entry.action) ?? entry.action);
+
+    row.insertCell().innerText =
+      browser.i18n.getMessage(`diagnostics_ui_kind_${entry.kind}`);
+  }
+
+  document.getElementById("entries_none").hidden = entries.length > 0;
+}
+
+
+/*
+ * Called when a storage area is changed.
+ *
+ * @param changes       changed items
+ * @param areaName      storage area name
+ */
+function onStorageChanged(changes, areaName) {
+  if (areaName === "session" && "diagnostics" in changes)
+    setEntries(changes.diagnostics.newValue ?? []);
+}
+
+
+document.addEventListener("DOMContentLoaded", setInterface);
+document.getElementById("clear").addEventListener("click", () =>
+  browser.storage.session.remove("diagnostics"));
+browser.storage.onChanged.addListener(onStorageChanged);
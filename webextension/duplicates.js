@@ -0,0 +1,105 @@
+/*
+ * @file                Duplicate index.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+export class DuplicateIndex {
+  #tabs = new Map();
+  #windows = new Map();
+
+  /*
+   * Gets the number of duplicate tabs in a window.
+   *
+   * The first tab with each key is not a duplicate; every other one is.
+   *
+   * @param windowId      window ID
+   * @return              number of duplicate tabs
+   */
+  getDuplicateCount(windowId) {
+    return this.#windows.get(windowId)?.duplicateCount ?? 0;
+  }
+
+  /*
+   * Adds or updates a tab. Tab order doesn't matter, so moves need no update.
+   *
+   * @param tabId         tab ID
+   * @param windowId      window ID
+   * @param key           duplicate key, or null if the tab is never a duplicate
+   */
+  setTab(tabId, windowId, key) {
+    const entry = this.#tabs.get(tabId);
+    if (entry?.windowId === windowId && entry.key === key)
+      return;
+
+    this.removeTab(tabId);
+
+    let window = this.#windows.get(windowId);
+    if (!window) {
+      window = { duplicateCount: 0, keyCounts: new Map(), tabIds: new Set() };
+      this.#windows.set(windowId, window);
+    }
+
+    window.tabIds.add(tabId);
+    this.#tabs.set(tabId, { key, windowId });
+
+    if (key === null)
+      return;
+
+    const keyCount = (window.keyCounts.get(key) ?? 0) + 1;
+    window.keyCounts.set(key, keyCount);
+    if (keyCount > 1)
+      ++window.duplicateCount;
+  }
+
+  /*
+   * Removes a tab.
+   *
+   * @param tabId         tab ID
+   */
+  removeTab(tabId) {
+    const entry = this.#tabs.get(tabId);
+    if (!entry)
+      return;
+
+    this.#tabs.delete(tabId);
+
+    const window = this.#windows.get(entry.windowId);
+    window.tabIds.delete(tabId);
+
+    if (entry.key === null)
+      return;
+
+    const keyCount = window.keyCounts.get(entry.key) - 1;
+    if (keyCount)
+      window.keyCounts.set(entry.key, keyCount);
+    else
+      window.keyCounts.delete(entry.key);
+
+    if (keyCount > 0)
+      --window.duplicateCount;
+  }
+
+  /*
+   * Removes a window and its tabs.
+   *
+   * @param windowId      window ID
+   */
+  removeWindow(windowId) {
+    const window = this.#windows.get(windowId);
+    if (!window)
+      return;
+
+    for (const tabId of window.tabIds)
+      this.#tabs.delete(tabId);
+    this.#windows.delete(windowId);
+  }
+
+  clear() {
+    this.#tabs.clear();
+    this.#windows.clear();
+  }
+}
@@ -0,0 +1,107 @@
+/*
+ * @file                Tab moves.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+// Share of tabs above which every tab is moved in one call, as sorting did
+// before moves were planned, instead of one call per tab out of order.
+const BULK_MOVE_SHARE = 0.5;
+
+/*
+ * Works out the fewest moves that put tabs in a new order.
+ *
+ * Tabs in the longest run already in order stay where they are. Each other
+ * tab is moved to just after the tab before it in the new order, in that
+ * order, or to the start if it comes first.
+ *
+ * @param tabIds        IDs of tabs, in tab strip order
+ * @param order         IDs of the same tabs, in their new order. Tabs missing
+ *                      from either are left where they are.
+ * @return              [{ tab ID, index counted from the first tab }], in the
+ *                      order the moves are made
+ */
+export function planMoves(tabIds, order) {
+  "use strict";
+
+  const tabIdSet = new Set(tabIds);
+  order = order.filter(tabId => tabIdSet.has(tabId));
+
+  const positions = new Map(order.map((tabId, position) => [tabId, position]));
+  const stayingTabIds = getLongestRun(
+    tabIds.filter(tabId => positions.has(tabId)), positions
+  );
+
+  const strip = [...tabIds];
+  const moves = [];
+
+  order.forEach((tabId, position) => {
+    if (stayingTabIds.has(tabId))
+      return;
+
+    strip.splice(strip.indexOf(tabId), 1);
+    const index = position === 0 ? 0 : strip.indexOf(order[position - 1]) + 1;
+    strip.splice(index, 0, tabId);
+    moves.push({ index, tabId });
+  });
+
+  return moves;
+}
+
+
+/*
+ * Checks whether so many tabs move that every tab is moved in one call.
+ *
+ * @param moves         moves from planMoves()
+ * @param tabIds        IDs of tabs, in tab strip order
+ * @return              true if every tab should be moved in one call
+ */
+export function isBulkMove(moves, tabIds) {
+  "use strict";
+
+  return moves.length > tabIds.length * BULK_MOVE_SHARE;
+}
+
+
+/*
+ * Finds the longest run of tabs already in their new order. The tabs of the
+ * run need not be next to each other.
+ *
+ * @param tabIds        IDs of tabs, in tab strip order
+ * @param positions     map of tab IDs to their positions in the new order
+ * @return              set of IDs of tabs in the run
+ */
+function getLongestRun(tabIds, positions) {
+  "use strict";
+
+  // Indexes of the last tabs of the best runs of each length, and the tab
+  // before each tab in its best run.
+  const tails = [];
+  const previous = new Array(tabIds.length).fill(-1);
+
+  tabIds.forEach((tabId, i) => {
+    const position = positions.get(tabId);
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (positions.get(tabIds[tails[middle]]) < position)
+        low = middle + 1;
+      else
+        high = middle;
+    }
+
+    if (low > 0)
+      previous[i] = tails[low - 1];
+    tails[low] = i;
+  });
+
+  const run = new Set();
+  for (let i = tails.at(-1) ?? -1; i !== -1; i = previous[i])
+    run.add(tabIds[i]);
+  return run;
+}
@@ -9,15 +9,67 @@
 
 /* prefs.js */
 const PREFS_DEFAULT = {
+  "pref_browser_action_badge": "true",
+  "pref_browser_action_popup": "false",
+  "pref_browser_action_preview": "false",
+  "pref_schedule_idle_deduplicate": "false",
+  "pref_schedule_idle_minutes": "0",
+  "pref_schedule_idle_sort_by_parts": "none",
+  "pref_schedule_idle_windows": "all",
+  "pref_schedule_interval_deduplicate": "false",
+  "pref_schedule_interval_minutes": "0",
+  "pref_schedule_interval_sort_by_parts": "none",
+  "pref_schedule_interval_windows": "focused",
+  "pref_tabs_deduplicate_all_windows": "false",
+  "pref_tabs_deduplicate_ignore_hash": "false",
+  "pref_tabs_deduplicate_ignore_protocol": "false",
+  "pref_tabs_deduplicate_ignore_query_string": "false",
+  "pref_tabs_deduplicate_ignore_title": "false",
+  "pref_tabs_deduplicate_ignore_www": "false",
+  "pref_tabs_deduplicate_keep": "rightmost",
   "pref_tabs_deduplicate_on_browser_action": "false",
+  "pref_tabs_deduplicate_on_open": "false",
+  "pref_tabs_deduplicate_on_open_except_background": "true",
+  "pref_tabs_deduplicate_on_open_except_no_opener": "true",
   "pref_tabs_deduplicate_on_update": "false",
+  "pref_tabs_deduplicate_pinned": "false",
+  "pref_tabs_exclusion_rules": "",
+  "pref_tabs_group_by_host": "false",
+  "pref_tabs_protect_attention": "true",
+  "pref_tabs_protect_audible": "true",
+  "pref_tabs_protect_confirm": "false",
+  "pref_tabs_protect_unsaved_forms": "false",
   "pref_tabs_sort_by_container": "true",
+  "pref_tabs_sort_by_opener": "false",
   "pref_tabs_sort_by_parts": "none",
   "pref_tabs_sort_by_query_string": "true",
+  "pref_tabs_sort_newest_first": "false",
   "pref_tabs_sort_on_browser_action": "false",
-  "pref_tabs_sort_on_update": "false"
+  "pref_tabs_sort_on_update": "false",
+  "pref_tabs_sort_pinned": "false",
+  "pref_tabs_sort_priority": "",
+  "pref_tabs_sort_reverse_auto": "false",
+  "pref_tabs_sort_reverse_host_path_title": "false",
+  "pref_tabs_sort_reverse_host_title_path": "false",
+  "pref_tabs_sort_reverse_title_host_path": "false",
+  "pref_tabs_sort_time_after_host": "false",
+  "pref_url_site_params": "youtube.com v list\nyoutu.be",
+  "pref_url_strip_tracking_params": "true",
+  "pref_url_tracking_params": [
+    "utm_*", "_ga", "_gl", "_hsenc", "_hsmi", "dclid", "fbclid", "gbraid",
+    "gclid", "gclsrc", "igsh", "igshid", "li_fat_id", "mc_cid", "mc_eid",
+    "mkt_tok", "msclkid", "oly_anon_id", "oly_enc_id", "rb_clickid",
+    "ref_src", "s_cid", "ttclid", "twclid", "vero_id", "wbraid", "wickedid",
+    "yclid", "ysclid"
+  ].join("\n"),
+  "pref_windows_split_by": "site",
+  "pref_windows_split_min_group_size": "2"
 };
 
+// Preference profiles, [{ name, preferences }], and the active profile name.
+let profiles = [];
+let activeProfile = null;
+
 /*
  * Saves preferences to "sync" storage.
  *
@@ -35,7 +87,7 @@ function saveOptions(e) {
   // Replace defaults with each user preference from the options page.
   for (let [name, value] of Object.entries(prefs)) {
 
-    const elements = document.querySelectorAll(`input[name="${name}"]`);
+    const elements = document.querySelectorAll(`[name="${name}"]`);
     for (let element of elements) {
       let tagName = element.tagName;
       let type = element.type || "";
@@ -51,8 +103,30 @@ function saveOptions(e) {
     }
   }
 
-  // Save settings to "sync" storage.
-  const savingPrefs = browser.storage.sync.set({ preferences: prefs });
+  // Save settings to "sync" storage, and to the active profile.
+  const status = document.getElementById("save_status");
+  const profileStatus = document.getElementById("profile_status");
+  const saving = activeProfile === null ?
+    browser.storage.sync.set({ preferences: prefs }) :
+    browser.storage.sync.set({
+      preferences: prefs,
+      profiles: replaceProfile(activeProfile, prefs)
+    }).then(() => {
+      profileStatus.value = "";
+    }, (err) => {
+
+      // Profiles may not fit in "sync" storage. Save the settings anyway.
+      profileStatus.value =
+        browser.i18n.getMessage("options_ui_profile_save_failed", [err.message]);
+      return browser.storage.sync.set({ preferences: prefs });
+    });
+
+  saving.then(() => {
+    status.value = "";
+  }, (err) => {
+    status.value =
+      browser.i18n.getMessage("options_ui_save_failed", [err.message]);
+  });
 }
 
 
@@ -69,7 +143,13 @@ function setInterface() {
     setOptionText();
     setButtonText();
     setInputValues(storedObject, true);
+    setProfiles(storedObject);
   });
+
+  browser.runtime.sendMessage({ type: "getPublicSuffixList" })
+    .then(setPublicSuffixListStatus);
+
+  browser.storage.local.get("schedules").then(setScheduleStatus);
 }
 
 
@@ -97,6 +177,293 @@ function setButtonText() {
 
   document.getElementById("submit").innerText =
     browser.i18n.getMessage("options_ui_submit");
+
+  document.getElementById("public_suffix_list_choose").innerText =
+    browser.i18n.getMessage("options_ui_public_suffix_list_choose");
+
+  document.getElementById("public_suffix_list_reset").innerText =
+    browser.i18n.getMessage("options_ui_public_suffix_list_reset");
+
+  document.getElementById("exclusion_rules_test").innerText =
+    browser.i18n.getMessage("options_ui_exclusion_rules_test");
+
+  document.getElementById("diagnostics").innerText =
+    browser.i18n.getMessage("options_ui_diagnostics");
+
+  document.getElementById("profile_delete").innerText =
+    browser.i18n.getMessage("options_ui_profile_delete");
+
+  document.getElementById("profile_save").innerText =
+    browser.i18n.getMessage("options_ui_profile_save");
+}
+
+
+/*
+ * Shows which Public Suffix List is in use.
+ *
+ * @param info          { file name or null, time chosen or null, rule count }
+ */
+function setPublicSuffixListStatus(info) {
+  const status = document.getElementById("public_suffix_list_status");
+
+  if (info.name === null) {
+    status.value = browser.i18n.getMessage(
+      "options_ui_public_suffix_list_bundled", [info.ruleCount]
+    );
+  } else {
+    status.value = browser.i18n.getMessage(
+      "options_ui_public_suffix_list_file",
+      [info.name, new Date(info.time).toLocaleDateString(), info.ruleCount]
+    );
+  }
+
+  document.getElementById("public_suffix_list_reset").disabled = info.name === null;
+}
+
+
+/*
+ * Shows when each schedule last ran and runs next.
+ *
+ * @param storedObject  { schedules: { last and next run times, or null, by
+ *                      schedule name } }
+ */
+function setScheduleStatus(storedObject) {
+  const schedules = storedObject.schedules ?? {};
+  const never = browser.i18n.getMessage("options_ui_schedule_never");
+
+  for (const name of ["idle", "interval"]) {
+    const { lastRun = null, nextRun = null } = schedules[name] ?? {};
+    const isOn =
+      Number(document.getElementById(`pref_schedule_${name}_minutes`).value) > 0;
+
+    let next = never;
+    if (isOn && name === "idle")
+      next = browser.i18n.getMessage("options_ui_schedule_next_idle");
+    else if (isOn && nextRun !== null)
+      next = new Date(nextRun).toLocaleString();
+
+    document.getElementById(`schedule_${name}_status`).value =
+      browser.i18n.getMessage("options_ui_schedule_status",
+        [lastRun === null ? never : new Date(lastRun).toLocaleString(), next]);
+  }
+}
+
+
+/*
+ * Lists preference profiles, the active one selected.
+ *
+ * @param storedObject  contents of "sync" storage
+ */
+function setProfiles(storedObject) {
+  profiles = storedObject.profiles ?? [];
+  activeProfile = storedObject.activeProfile ?? null;
+
+  const none = document.createElement("option");
+  none.value = "";
+  none.innerText = browser.i18n.getMessage("options_ui_profile_none");
+
+  const options = profiles.map(profile => {
+    const option = document.createElement("option");
+    option.value = profile.name;
+    option.innerText = profile.name;
+    return option;
+  });
+
+  const select = document.getElementById("profile_active");
+  select.replaceChildren(none, ...options);
+  select.value = activeProfile ?? "";
+
+  document.getElementById("profile_delete").disabled = activeProfile === null;
+}
+
+
+/*
+ * Gets the profiles with one added, or replaced if it has the same name.
+ *
+ * @param name          profile name
+ * @param prefs         preferences
+ * @return              [{ name, preferences }]
+ */
+function replaceProfile(name, prefs) {
+
+  // Only keep preferences that differ from the defaults, to save space.
+  const preferences = Object.fromEntries(Object.entries(prefs).filter(
+    ([key, value]) => JSON.stringify(value) !== JSON.stringify(PREFS_DEFAULT[key])
+  ));
+
+  const index = profiles.findIndex(profile => profile.name === name);
+  if (index === -1)
+    return [...profiles, { name, preferences }];
+  return profiles.with(index, { name, preferences });
+}
+
+
+/*
+ * Saves the options as a profile, and makes it the active profile.
+ */
+async function saveProfile() {
+  const nameInput = document.getElementById("profile_name");
+  const name = nameInput.value.trim();
+  if (name === "")
+    return;
+
+  const { preferences } = await browser.storage.sync.get("preferences");
+  const prefs = Object.assign({}, PREFS_DEFAULT, preferences);
+
+  // Storage sync limits how big profiles can be.
+  try {
+    await browser.storage.sync.set({
+      activeProfile: name,
+      profiles: replaceProfile(name, prefs)
+    });
+  } catch (err) {
+    document.getElementById("profile_status").value =
+      browser.i18n.getMessage("options_ui_profile_save_failed", [err.message]);
+    return;
+  }
+
+  nameInput.value = "";
+  document.getElementById("profile_status").value = "";
+}
+
+
+/*
+ * Deletes the active profile. The options stay as they are.
+ */
+function deleteProfile() {
+  browser.storage.sync.set({
+    activeProfile: null,
+    profiles: profiles.filter(profile => profile.name !== activeProfile)
+  });
+}
+
+
+/*
+ * Switches to the chosen profile, or stops saving options to a profile.
+ *
+ * @param e             change event
+ */
+function switchProfile(e) {
+  if (e.target.value === "") {
+    browser.storage.sync.set({ activeProfile: null });
+    return;
+  }
+
+  browser.runtime.sendMessage({ type: "switchProfile", name: e.target.value });
+}
+
+
+/*
+ * Called when storage changes. Shows new schedule times, and the options of
+ * a profile switched to.
+ *
+ * @param changes       changed items
+ * @param areaName      storage area name
+ */
+function onStorageChanged(changes, areaName) {
+  if (areaName === "local" && "schedules" in changes)
+    setScheduleStatus({ schedules: changes.schedules.newValue });
+
+  if (areaName === "sync" && ("profiles" in changes || "activeProfile" in changes)) {
+    browser.storage.sync.get().then((storedObject) => {
+      setProfiles(storedObject);
+      if ("activeProfile" in changes)
+        setInputValues(storedObject);
+    });
+  }
+}
+
+
+/*
+ * Loads a Public Suffix List from the chosen file.
+ *
+ * @param e             change event
+ */
+async function choosePublicSuffixList(e) {
+  const file = e.target.files[0];
+  if (!file)
+    return;
+
+  const ruleCount = await browser.runtime.sendMessage({
+    type: "setPublicSuffixList",
+    name: file.name,
+    text: await file.text()
+  });
+  e.target.value = "";
+
+  if (!ruleCount) {
+    document.getElementById("public_suffix_list_status").value =
+      browser.i18n.getMessage("options_ui_public_suffix_list_invalid", [file.name]);
+    return;
+  }
+
+  browser.runtime.sendMessage({ type: "getPublicSuffixList" })
+    .then(setPublicSuffixListStatus);
+}
+
+
+/*
+ * Goes back to the bundled Public Suffix List.
+ */
+async function resetPublicSuffixList() {
+  await browser.runtime.sendMessage({
+    type: "setPublicSuffixList",
+    name: null,
+    text: ""
+  });
+
+  browser.runtime.sendMessage({ type: "getPublicSuffixList" })
+    .then(setPublicSuffixListStatus);
+}
+
+
+/*
+ * Asks for access to pages, to check tabs for unsaved form input.
+ *
+ * The option is turned off again if access is refused.
+ *
+ * @param e             change event
+ */
+async function requestPagePermissions(e) {
+  if (!e.target.checked)
+    return;
+
+  const isGranted = await browser.permissions.request({ origins: ["<all_urls>"] })
+    .catch((err) => false);
+
+  if (!isGranted) {
+    e.target.checked = false;
+    saveOptions(e);
+  }
+}
+
+
+/*
+ * Lists the tabs of the current window that the exclusion rules match.
+ */
+async function testExclusionRules() {
+  const result = await browser.runtime.sendMessage({
+    type: "testExclusionRules",
+    text: document.getElementById("pref_tabs_exclusion_rules").value
+  });
+
+  document.getElementById("exclusion_rules_status").value =
+    browser.i18n.getMessage("options_ui_exclusion_rules_status",
+      [result.ruleCount, result.matches.length, result.tabCount]);
+
+  const list = document.getElementById("exclusion_rules_matches");
+  list.replaceChildren();
+
+  for (const match of result.matches) {
+    const effect = match.isFixed && match.isKept ? "both" :
+      match.isFixed ? "fixed" : "kept";
+    const item = document.createElement("li");
+    item.innerText = browser.i18n.getMessage(
+      `options_ui_exclusion_rules_match_${effect}`, [match.title || match.url]
+    );
+    item.title = match.url;
+    list.append(item);
+  }
 }
 
 
@@ -161,7 +528,7 @@ function setInputValues(storedObject, setListeners) {
   // Load preference values into the user interface.
   for (let [name, value] of Object.entries(prefs)) {
 
-    const elements = document.querySelectorAll(`input[name="${name}"]`);
+    const elements = document.querySelectorAll(`[name="${name}"]`);
     for (let element of elements) {
       let tagName = element.tagName;
       let type = element.type;
@@ -183,3 +550,25 @@ function setInputValues(storedObject, setListeners) {
 document.addEventListener("DOMContentLoaded", setInterface);
 document.querySelector("form").addEventListener("reset", resetInterface);
 document.querySelector("form").addEventListener("submit", saveOptions);
+document.getElementById("public_suffix_list_choose").addEventListener("click",
+  () => document.getElementById("public_suffix_list_file").click());
+document.getElementById("public_suffix_list_file").addEventListener("change",
+  choosePublicSuffixList);
+document.getElementById("public_suffix_list_reset").addEventListener("click",
+  resetPublicSuffixList);
+document.getElementById("exclusion_rules_test").addEventListener("click",
+  testExclusionRules);
+document.getElementById("profile_active").addEventListener("change",
+  switchProfile);
+document.getElementById("profile_delete").addEventListener("click",
+  deleteProfile);
+document.getElementById("profile_save").addEventListener("click", saveProfile);
+document.getElementById("diagnostics").addEventListener("click", () =>
+  browser.tabs.create({ url: browser.runtime.getURL("diagnostics.html") }));
+document.getElementById("pref_tabs_protect_unsaved_forms").addEventListener("change",
+  requestPagePermissions);
+for (const name of ["idle", "interval"]) {
+  document.getElementById(`pref_schedule_${name}_minutes`).addEventListener("change",
+    () => browser.storage.local.get("schedules").then(setScheduleStatus));
+}
+browser.storage.onChanged.addListener(onStorageChanged);
@@ -0,0 +1,100 @@
+/*
+ * @file                Placement cache.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+export class PlacementCache {
+  #windows = new Map();
+
+  /*
+   * Gets the sorted tabs of a window, without one tab, if they still match
+   * the window. Tabs closed since are dropped, as that keeps the rest sorted.
+   *
+   * @param windowId      window ID
+   * @param tabIds        IDs of the tabs of the window, in tab strip order
+   * @param tabId         ID of the tab to leave out
+   * @return              array of tab properties, or null if stale
+   */
+  get(windowId, tabIds, tabId) {
+    const items = this.#windows.get(windowId);
+    if (!items)
+      return null;
+
+    const windowTabIds = new Set(tabIds);
+    const others = items.filter(item => item.id !== tabId && windowTabIds.has(item.id));
+    const otherTabIds = tabIds.filter(otherTabId => otherTabId !== tabId);
+
+    if (others.length !== otherTabIds.length ||
+        others.some((item, index) => item.id !== otherTabIds[index])) {
+      this.#windows.delete(windowId);
+      return null;
+    }
+
+    return others;
+  }
+
+  /*
+   * Stores the sorted tabs of a window.
+   *
+   * @param windowId      window ID
+   * @param items         array of tab properties, in tab strip order
+   */
+  set(windowId, items) {
+    this.#windows.set(windowId, items);
+  }
+
+  /*
+   * Places a tab among the others, by binary search. Equal tabs go after.
+   *
+   * @param windowId      window ID
+   * @param others        array from get()
+   * @param item          tab properties
+   * @param comparator    comparator the others are sorted by
+   * @return              index of the tab among the others
+   */
+  place(windowId, others, item, comparator) {
+    let low = 0;
+    let high = others.length;
+
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (comparator(others[middle], item) <= 0)
+        low = middle + 1;
+      else
+        high = middle;
+    }
+
+    this.#windows.set(windowId, others.toSpliced(low, 0, item));
+    return low;
+  }
+
+  /*
+   * Forgets a tab, so the window is only placed into again once it has been
+   * sorted, unless the tab is the one being placed.
+   *
+   * @param windowId      window ID
+   * @param tabId         tab ID
+   */
+  removeTab(windowId, tabId) {
+    const items = this.#windows.get(windowId);
+    if (items)
+      this.#windows.set(windowId, items.filter(item => item.id !== tabId));
+  }
+
+  /*
+   * Forgets a window.
+   *
+   * @param windowId      window ID
+   */
+  removeWindow(windowId) {
+    this.#windows.delete(windowId);
+  }
+
+  clear() {
+    this.#windows.clear();
+  }
+}
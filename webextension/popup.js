@@ -0,0 +1,242 @@
+/*
+ * @file                Popup script.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+// Sort modes that can be run from the popup, as numbered on the options page.
+const SORT_MODES = [
+  [1, "host_title_path"],
+  [2, "host_path_title"],
+  [3, "title_host_path"],
+  [4, "auto"],
+  [5, "accessed"],
+  [6, "opened"]
+];
+
+// ID of the window the popup was opened from.
+let windowId = null;
+
+
+/*
+ * Sets the user interface for the popup.
+ */
+async function setInterface() {
+  setLabelText();
+  setSortModes();
+  setProfiles();
+
+  windowId = (await browser.windows.getCurrent()).id;
+  setLastRun();
+  return setReport();
+}
+
+
+/*
+ * Sets the label text for the popup.
+ */
+function setLabelText() {
+  const labelNodes = document.querySelectorAll("legend,span");
+
+  for (const labelNode of labelNodes) {
+    if (labelNode.id !== "")
+      labelNode.innerText = browser.i18n.getMessage(labelNode.id);
+  }
+
+  document.getElementById("run").innerText =
+    browser.i18n.getMessage("popup_ui_run");
+
+  document.getElementById("options").innerText =
+    browser.i18n.getMessage("popup_ui_options");
+}
+
+
+/*
+ * Adds a button for each sort mode.
+ */
+function setSortModes() {
+  const container = document.getElementById("sort_modes");
+
+  for (const [number, sortMode] of SORT_MODES) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.innerText =
+      browser.i18n.getMessage(`pref_tabs_sort_by_parts_option_${number}_label`);
+    button.addEventListener("click", () => sendAndClose({
+      type: "sortTabs",
+      sortMode,
+      windowId
+    }));
+    container.append(button);
+  }
+}
+
+
+/*
+ * Adds a button for each preference profile. The active profile's button is
+ * disabled.
+ */
+async function setProfiles() {
+  const { activeProfile = null, profiles = [] } =
+    await browser.storage.sync.get(["activeProfile", "profiles"]);
+
+  const container = document.getElementById("profiles");
+
+  for (const { name } of profiles) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.innerText = name;
+    button.disabled = name === activeProfile;
+    button.addEventListener("click", () => sendAndClose({
+      type: "switchProfile",
+      name
+    }));
+    container.append(button);
+  }
+
+  document.getElementById("profiles_section").hidden = profiles.length === 0;
+}
+
+
+/*
+ * Lists the groups of duplicate and blank tabs in the window.
+ */
+async function setReport() {
+  const report = await browser.runtime.sendMessage({
+    type: "getDuplicateReport",
+    windowId
+  });
+
+  const table = document.getElementById("groups");
+  table.replaceChildren();
+
+  document.getElementById("unavailable").hidden = !!report;
+  if (!report) {
+    document.getElementById("summary").value = "";
+    document.getElementById("groups_none").hidden = true;
+    return;
+  }
+
+  let duplicateCount = 0;
+  let blankCount = 0;
+
+  for (const group of report.groups) {
+    const closingTabIds = group.tabs
+      .filter(tab => tab.isClosing)
+      .map(tab => tab.id);
+    const keptTab = group.tabs.find(tab => !tab.isClosing) ?? group.tabs[0];
+
+    if (group.isBlank)
+      blankCount += closingTabIds.length;
+    else
+      duplicateCount += closingTabIds.length;
+
+    const row = table.insertRow();
+
+    const titleCell = row.insertCell();
+    titleCell.innerText = keptTab.title || keptTab.url;
+    titleCell.title = keptTab.url;
+
+    const countCell = row.insertCell();
+    countCell.className = "count";
+    countCell.innerText = group.tabs.length.toString();
+
+    const buttonsCell = row.insertCell();
+    buttonsCell.className = "buttons";
+    buttonsCell.append(
+      createButton("popup_ui_go_to", () => goToTab(keptTab.id)),
+      createButton("popup_ui_close_extras", async () => {
+        const isClosed = await browser.runtime.sendMessage({
+          type: "closeTabs",
+          tabIds: closingTabIds,
+          windowId
+        });
+        document.getElementById("busy").hidden = isClosed !== false;
+        return setReport();
+      })
+    );
+  }
+
+  document.getElementById("summary").value = browser.i18n.getMessage(
+    "popup_ui_summary", [duplicateCount, blankCount]
+  );
+  document.getElementById("groups_none").hidden = report.groups.length > 0;
+}
+
+
+/*
+ * Shows what the last run in the window closed, and which tabs it kept open
+ * because they were protected.
+ */
+async function setLastRun() {
+  const key = `summary_${windowId}`;
+  const { [key]: summary } = await browser.storage.session.get(key);
+  if (!summary)
+    return;
+
+  document.getElementById("last_run").value = browser.i18n.getMessage(
+    "popup_ui_last_run",
+    [summary.closedCount, new Date(summary.time).toLocaleTimeString()]
+  );
+
+  const table = document.getElementById("protected_tabs");
+  for (const tab of summary.protectedTabs) {
+    const row = table.insertRow();
+    row.insertCell().innerText =
+      browser.i18n.getMessage(`preview_ui_reason_${tab.reason}_label`);
+
+    const titleCell = row.insertCell();
+    titleCell.innerText = tab.title || tab.url;
+    titleCell.title = tab.url;
+  }
+
+  document.getElementById("last_run_section").hidden = false;
+}
+
+
+/*
+ * Creates a button.
+ *
+ * @param messageName   name of the message for the button text
+ * @param onClick       click listener
+ * @return              button element
+ */
+function createButton(messageName, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.innerText = browser.i18n.getMessage(messageName);
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+
+/*
+ * Makes a tab the active tab of its window, then closes the popup.
+ *
+ * @param tabId         tab ID
+ */
+async function goToTab(tabId) {
+  await browser.tabs.update(tabId, { active: true });
+  window.close();
+}
+
+
+/*
+ * Sends a message to the background script, then closes the popup.
+ *
+ * @param message       message: { type, ... }
+ */
+async function sendAndClose(message) {
+  await browser.runtime.sendMessage(message);
+  window.close();
+}
+
+
+document.addEventListener("DOMContentLoaded", setInterface);
+document.getElementById("run").addEventListener("click", () =>
+  sendAndClose({ type: "runBrowserAction", windowId }));
+document.getElementById("options").addEventListener("click", () =>
+  browser.runtime.openOptionsPage().then(() => window.close()));
@@ -8,11 +8,59 @@
  */
 
 export const PREFS_DEFAULT = {
+  "pref_browser_action_badge": "true",
+  "pref_browser_action_popup": "false",
+  "pref_browser_action_preview": "false",
+  "pref_schedule_idle_deduplicate": "false",
+  "pref_schedule_idle_minutes": "0",
+  "pref_schedule_idle_sort_by_parts": "none",
+  "pref_schedule_idle_windows": "all",
+  "pref_schedule_interval_deduplicate": "false",
+  "pref_schedule_interval_minutes": "0",
+  "pref_schedule_interval_sort_by_parts": "none",
+  "pref_schedule_interval_windows": "focused",
+  "pref_tabs_deduplicate_all_windows": "false",
+  "pref_tabs_deduplicate_ignore_hash": "false",
+  "pref_tabs_deduplicate_ignore_protocol": "false",
+  "pref_tabs_deduplicate_ignore_query_string": "false",
+  "pref_tabs_deduplicate_ignore_title": "false",
+  "pref_tabs_deduplicate_ignore_www": "false",
+  "pref_tabs_deduplicate_keep": "rightmost",
   "pref_tabs_deduplicate_on_browser_action": "false",
+  "pref_tabs_deduplicate_on_open": "false",
+  "pref_tabs_deduplicate_on_open_except_background": "true",
+  "pref_tabs_deduplicate_on_open_except_no_opener": "true",
   "pref_tabs_deduplicate_on_update": "false",
+  "pref_tabs_deduplicate_pinned": "false",
+  "pref_tabs_exclusion_rules": "",
+  "pref_tabs_group_by_host": "false",
+  "pref_tabs_protect_attention": "true",
+  "pref_tabs_protect_audible": "true",
+  "pref_tabs_protect_confirm": "false",
+  "pref_tabs_protect_unsaved_forms": "false",
   "pref_tabs_sort_by_container": "true",
+  "pref_tabs_sort_by_opener": "false",
   "pref_tabs_sort_by_parts": "none",
   "pref_tabs_sort_by_query_string": "true",
+  "pref_tabs_sort_newest_first": "false",
   "pref_tabs_sort_on_browser_action": "false",
-  "pref_tabs_sort_on_update": "false"
+  "pref_tabs_sort_on_update": "false",
+  "pref_tabs_sort_pinned": "false",
+  "pref_tabs_sort_priority": "",
+  "pref_tabs_sort_reverse_auto": "false",
+  "pref_tabs_sort_reverse_host_path_title": "false",
+  "pref_tabs_sort_reverse_host_title_path": "false",
+  "pref_tabs_sort_reverse_title_host_path": "false",
+  "pref_tabs_sort_time_after_host": "false",
+  "pref_url_site_params": "youtube.com v list\nyoutu.be",
+  "pref_url_strip_tracking_params": "true",
+  "pref_url_tracking_params": [
+    "utm_*", "_ga", "_gl", "_hsenc", "_hsmi", "dclid", "fbclid", "gbraid",
+    "gclid", "gclsrc", "igsh", "igshid", "li_fat_id", "mc_cid", "mc_eid",
+    "mkt_tok", "msclkid", "oly_anon_id", "oly_enc_id", "rb_clickid",
+    "ref_src", "s_cid", "ttclid", "twclid", "vero_id", "wbraid", "wickedid",
+    "yclid", "ysclid"
+  ].join("\n"),
+  "pref_windows_split_by": "site",
+  "pref_windows_split_min_group_size": "2"
 };
@@ -0,0 +1,182 @@
+/*
+ * @file                Preview script.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+// ID of the window being previewed.
+const windowId = Number(new URLSearchParams(location.search).get("windowId"));
+
+// Plan of the run, from the background script.
+let plan = null;
+
+
+/*
+ * Sets the user interface for the preview page.
+ */
+async function setInterface() {
+  setLabelText();
+
+  plan = await browser.runtime.sendMessage({ type: "planTabs", windowId });
+
+  if (!plan) {
+    document.getElementById("unavailable").hidden = false;
+    return;
+  }
+
+  setClosures();
+  setOrder();
+  document.getElementById("confirm").disabled = false;
+}
+
+
+/*
+ * Sets the label text for the preview page.
+ */
+function setLabelText() {
+  const labelNodes = document.querySelectorAll("legend,span");
+
+  for (const labelNode of labelNodes) {
+    if (labelNode.id !== "")
+      labelNode.innerText = browser.i18n.getMessage(labelNode.id);
+  }
+
+  document.getElementById("cancel").innerText =
+    browser.i18n.getMessage("preview_ui_cancel");
+
+  document.getElementById("confirm").innerText =
+    browser.i18n.getMessage("preview_ui_confirm");
+}
+
+
+/*
+ * Lists the tabs to be closed, each with a checkbox to keep it.
+ *
+ * Protected tabs are listed unchecked, so they are only closed if chosen.
+ */
+function setClosures() {
+  const table = document.getElementById("closures");
+  const tabs = getTabs();
+
+  for (const closure of [...plan.closures, ...plan.protected]) {
+    const tab = tabs.get(closure.id);
+    const row = table.insertRow();
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = plan.closures.includes(closure);
+    checkbox.dataset.tabId = closure.id;
+    checkbox.addEventListener("change", setOrderClosing);
+    row.insertCell().append(checkbox);
+
+    row.insertCell().innerText =
+      browser.i18n.getMessage(`preview_ui_reason_${closure.reason}_label`);
+
+    const titleCell = row.insertCell();
+    titleCell.innerText = tab.title || tab.url;
+    titleCell.title = tab.url;
+  }
+
+  document.getElementById("closures_none").hidden =
+    plan.closures.length + plan.protected.length > 0;
+}
+
+
+/*
+ * Lists the tabs in their new order.
+ */
+function setOrder() {
+  const list = document.getElementById("order");
+  const tabs = getTabs();
+
+  const tabIds = [...plan.pinned?.order ?? [], ...plan.order ?? []];
+
+  for (const tabId of tabIds) {
+    const tab = tabs.get(tabId);
+    const item = document.createElement("li");
+    item.innerText = tab.title || tab.url;
+    item.title = tab.url;
+    item.dataset.tabId = tabId;
+    list.append(item);
+  }
+
+  document.getElementById("order_none").hidden = tabIds.length > 0;
+  setOrderClosing();
+}
+
+
+/*
+ * Gets the tabs of the previewed windows, and their pinned tabs if sorted.
+ *
+ * @return              map of tab IDs to tabs
+ */
+function getTabs() {
+  return new Map(
+    [...plan.windows.flatMap(window => window.tabs), ...plan.pinned?.tabs ?? []]
+      .map(tab => [tab.id, tab])
+  );
+}
+
+
+/*
+ * Marks the tabs in the new order that will be closed.
+ */
+function setOrderClosing() {
+  const closingTabIds = new Set(
+    getCheckedClosures().map(tabId => tabId.toString())
+  );
+
+  for (const item of document.querySelectorAll("#order > li"))
+    item.classList.toggle("closing", closingTabIds.has(item.dataset.tabId));
+}
+
+
+/*
+ * Gets the IDs of tabs still checked for closing.
+ *
+ * @return              tab IDs
+ */
+function getCheckedClosures() {
+  return [...document.querySelectorAll("#closures input:checked")]
+    .map(checkbox => Number(checkbox.dataset.tabId));
+}
+
+
+/*
+ * Applies the plan, keeping unchecked tabs, then closes the preview.
+ *
+ * @param e             submit event
+ */
+async function confirmPreview(e) {
+  e.preventDefault();
+
+  const checkedTabIds = new Set(getCheckedClosures());
+
+  // Close protected tabs that were checked.
+  plan.closures.push(
+    ...plan.protected.filter(closure => checkedTabIds.has(closure.id))
+  );
+  plan.protected = plan.protected.filter(closure => !checkedTabIds.has(closure.id));
+
+  const keptTabIds = plan.closures
+    .map(closure => closure.id)
+    .filter(tabId => !checkedTabIds.has(tabId));
+
+  const isApplied =
+    await browser.runtime.sendMessage({ type: "applyPlan", plan, keptTabIds });
+
+  // Let the user try again once the window is free.
+  if (isApplied === false) {
+    document.getElementById("busy").hidden = false;
+    return;
+  }
+  window.close();
+}
+
+
+document.addEventListener("DOMContentLoaded", setInterface);
+document.getElementById("cancel").addEventListener("click", () => window.close());
+document.querySelector("form").addEventListener("submit", confirmPreview);
@@ -0,0 +1,113 @@
+/*
+ * @file                Public Suffix List.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+// Kinds of rule at a node of the list.
+const RULE_NONE = 0;
+const RULE_NORMAL = 1;
+const RULE_EXCEPTION = 2;
+
+export class PublicSuffixList {
+  #root = createNode();
+  ruleCount = 0;
+
+  /*
+   * Parses a list in the format of "public_suffix_list.dat".
+   *
+   * Rules are stored in a tree of labels, from the top-level domain down.
+   *
+   * @param text          list text
+   */
+  constructor(text) {
+    for (let line of text.split("\n")) {
+      line = line.trim().split(/\s/)[0];
+      if (line === "" || line.startsWith("//"))
+        continue;
+
+      const isException = line.startsWith("!");
+      const labels = toASCII(isException ? line.slice(1) : line).split(".").reverse();
+
+      let node = this.#root;
+      for (const label of labels) {
+        let child = node.children.get(label);
+        if (!child)
+          node.children.set(label, child = createNode());
+        node = child;
+      }
+      node.rule = isException ? RULE_EXCEPTION : RULE_NORMAL;
+      ++this.ruleCount;
+    }
+  }
+
+  /*
+   * Gets the number of labels in the public suffix of a hostname.
+   *
+   * Unlisted top-level domains are public suffixes.
+   *
+   * @param labels        hostname labels, from the top-level domain down
+   * @return              number of labels in the public suffix
+   */
+  getSuffixLength(labels) {
+    let node = this.#root;
+    let suffixLength = 1;
+
+    for (let index = 0; index < labels.length; ++index) {
+      const child = node.children.get(labels[index]);
+
+      if (!child) {
+        if (node.children.has("*"))
+          suffixLength = index + 1;
+        break;
+      }
+
+      if (child.rule === RULE_EXCEPTION)
+        return index;
+      if (child.rule === RULE_NORMAL)
+        suffixLength = index + 1;
+      node = child;
+    }
+
+    return Math.min(suffixLength, labels.length);
+  }
+}
+
+
+/*
+ * Creates a node for the tree of rules.
+ *
+ * @return              { child nodes by label, kind of rule }
+ */
+function createNode() {
+  "use strict";
+
+  return { children: new Map(), rule: RULE_NONE };
+}
+
+
+/*
+ * Converts an internationalized domain name to ASCII ("xn--").
+ *
+ * Hostnames of URLs are ASCII, so rules must be too.
+ *
+ * @param domain        domain name, possibly with a "*" label
+ * @return              ASCII domain name
+ */
+function toASCII(domain) {
+  "use strict";
+
+  if (!/[^\x00-\x7f]/.test(domain))
+    return domain.toLowerCase();
+
+  const isWildcard = domain.startsWith("*.");
+  try {
+    const hostname = new URL("http://" + (isWildcard ? domain.slice(2) : domain)).hostname;
+    return isWildcard ? "*." + hostname : hostname;
+  } catch (err) {
+    return domain;
+  }
+}
@@ -0,0 +1,168 @@
+/*
+ * @file                Exclusion rules.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+// Keywords limiting what a rule stops. Without one, a rule stops both.
+const KEYWORDS = new Map([
+  ["fix", { isFixed: true, isKept: false }],
+  ["keep", { isFixed: false, isKept: true }]
+]);
+
+export class ExclusionRules {
+  #containerNames;
+  #rules = [];
+
+  /*
+   * Parses rules for tabs that are never closed or never moved.
+   *
+   * @param text            one rule per line: a host, a URL pattern with "*"
+   *                        wildcards, or "container:" then a container name.
+   *                        Then "keep" to never close, or "fix" to never move;
+   *                        otherwise both. Lines starting with "#" are ignored.
+   * @param containerNames  map of cookie store IDs to container names
+   */
+  constructor(text, containerNames) {
+    this.#containerNames = containerNames;
+
+    for (let line of text.split("\n")) {
+      line = line.trim();
+      if (line === "" || line.startsWith("#"))
+        continue;
+
+      const tokens = line.split(/\s+/);
+      const effect = KEYWORDS.get(tokens.at(-1).toLowerCase());
+      if (effect)
+        tokens.pop();
+
+      const target = tokens.join(" ");
+      if (target !== "") {
+        this.#rules.push({
+          ...(effect ?? { isFixed: true, isKept: true }),
+          matches: parseTarget(target)
+        });
+      }
+    }
+  }
+
+  get size() {
+    return this.#rules.length;
+  }
+
+  /*
+   * Checks which rules apply to a tab.
+   *
+   * @param tab           tab
+   * @return              { never moved, never closed }
+   */
+  match(tab) {
+    const result = { isFixed: false, isKept: false };
+    if (!this.#rules.length)
+      return result;
+
+    const target = getTabTarget(tab, this.#containerNames);
+    for (const rule of this.#rules) {
+      if (rule.matches(...target)) {
+        result.isFixed ||= rule.isFixed;
+        result.isKept ||= rule.isKept;
+      }
+    }
+    return result;
+  }
+}
+
+
+export class PriorityRules {
+  #containerNames;
+  #rules = [];
+
+  /*
+   * Parses the tabs that are sorted first, in the listed order.
+   *
+   * @param text            one target per line, as in exclusion rules: a host, a
+   *                        URL pattern with "*" wildcards, or "container:" then
+   *                        a container name. Lines starting with "#" are ignored.
+   * @param containerNames  map of cookie store IDs to container names
+   */
+  constructor(text, containerNames) {
+    this.#containerNames = containerNames;
+
+    for (let line of text.split("\n")) {
+      line = line.trim();
+      if (line !== "" && !line.startsWith("#"))
+        this.#rules.push(parseTarget(line));
+    }
+  }
+
+  /*
+   * Gets the priority of a tab.
+   *
+   * @param tab           tab
+   * @return              index of the first matching line, or the number of
+   *                      lines if none match
+   */
+  match(tab) {
+    if (!this.#rules.length)
+      return 0;
+
+    const target = getTabTarget(tab, this.#containerNames);
+    const index = this.#rules.findIndex(matches => matches(...target));
+    return index === -1 ? this.#rules.length : index;
+  }
+}
+
+
+/*
+ * Parses the target of a rule.
+ *
+ * Hosts match their subdomains too. A leading "*." is allowed.
+ *
+ * @param target        host, URL pattern, or "container:" and container name
+ * @return              function(URL, hostname, lower case container name)
+ *                      returning true if the target matches
+ */
+function parseTarget(target) {
+  "use strict";
+
+  if (/^container:/i.test(target)) {
+    const name = target.slice("container:".length).trim().toLowerCase();
+    return (url, hostname, containerName) => containerName === name;
+  }
+
+  if (target.includes("/")) {
+    const pattern = target.split("*")
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    const regExp = new RegExp(`^${pattern}$`, "i");
+    return url => regExp.test(url);
+  }
+
+  const host = target.replace(/^\*\./, "").toLowerCase();
+  return (url, hostname) => hostname === host || hostname.endsWith("." + host);
+}
+
+
+/*
+ * Gets what rules match a tab against.
+ *
+ * @param tab             tab
+ * @param containerNames  map of cookie store IDs to container names
+ * @return                [URL, hostname, lower case container name or null]
+ */
+function getTabTarget(tab, containerNames) {
+  "use strict";
+
+  let hostname = "";
+  try {
+    hostname = new URL(tab.url).hostname;
+  } catch (err) {}
+
+  const containerName =
+    containerNames.get(tab.cookieStoreId)?.toLowerCase() ?? null;
+
+  return [tab.url ?? "", hostname, containerName];
+}
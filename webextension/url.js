@@ -0,0 +1,95 @@
+/*
+ * @file                URL normalization.
+ * @author              Mitchell Field <mitchell.field@live.com.au>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+export class QueryRules {
+  #siteParams = [];
+  #trackingParams = new Set();
+  #trackingPrefixes = [];
+
+  /*
+   * Parses rules for which query parameters matter.
+   *
+   * @param trackingParams  tracking parameter names, separated by whitespace or
+   *                        commas. A trailing "*" matches any suffix.
+   * @param siteParams      one site per line: host, then the only parameter
+   *                        names that matter on that host and its subdomains
+   */
+  constructor(trackingParams, siteParams) {
+    for (const name of splitTokens(trackingParams)) {
+      if (name.endsWith("*"))
+        this.#trackingPrefixes.push(name.slice(0, -1));
+      else
+        this.#trackingParams.add(name);
+    }
+
+    for (const line of siteParams.split("\n")) {
+      const [host, ...names] = splitTokens(line);
+      if (host)
+        this.#siteParams.push([host.toLowerCase(), new Set(names)]);
+    }
+  }
+
+  /*
+   * Removes unimportant query parameters, and sorts the rest.
+   *
+   * @param hostname      hostname
+   * @param searchParams  URLSearchParams
+   * @return              normalized query string
+   */
+  normalize(hostname, searchParams) {
+    const siteParams = this.#getSiteParams(hostname);
+    const params = [];
+
+    for (const [name, value] of searchParams) {
+      if (siteParams ? siteParams.has(name) : !this.#isTracking(name))
+        params.push([name, value]);
+    }
+
+    // Parameter order doesn't matter. Keep the order of repeated names.
+    params.sort(([nameA], [nameB]) => nameA < nameB ? -1 : nameA > nameB ? 1 : 0);
+    return new URLSearchParams(params).toString();
+  }
+
+  /*
+   * Gets the parameters that matter on a host, if the host has a rule.
+   *
+   * @param hostname      hostname
+   * @return              set of parameter names, or undefined
+   */
+  #getSiteParams(hostname) {
+    for (const [host, names] of this.#siteParams) {
+      if (hostname === host || hostname.endsWith("." + host))
+        return names;
+    }
+  }
+
+  /*
+   * Checks whether a parameter is for tracking.
+   *
+   * @param name          parameter name
+   * @return              true if the parameter is for tracking
+   */
+  #isTracking(name) {
+    return this.#trackingParams.has(name) ||
+      this.#trackingPrefixes.some(prefix => name.startsWith(prefix));
+  }
+}
+
+
+/*
+ * Splits text into tokens, separated by whitespace or commas.
+ *
+ * @param text          text
+ * @return              [tokens]
+ */
+function splitTokens(text) {
+  "use strict";
+
+  return text.split(/[\s,]+/).filter(token => token !== "");
+}